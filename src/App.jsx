@@ -1,5 +1,20 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Book, Plus, Eye, Download, Save, Settings, Trash2, Edit2, GripVertical, Mic, Volume2, Sun, Moon, Award, Sparkles, Star, ArrowLeft, ArrowRight, Play, Pause, Share2, Printer, Palette, Music, Lightbulb, Gift, Lock, Unlock, BarChart3, FileText, Upload, Grid, List, Pencil, Eraser, Circle, Square, ChevronRight, Trophy, Zap, BookOpen, Camera } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Book, Plus, Eye, Download, Save, Settings, Trash2, Edit2, GripVertical, Mic, Volume2, Sun, Moon, Award, Sparkles, Star, ArrowLeft, ArrowRight, ArrowUp, ArrowDown, Play, Pause, Share2, Printer, Palette, Music, Lightbulb, Gift, Lock, Unlock, BarChart3, FileText, Upload, Grid, List, Pencil, Eraser, Circle, Square, ChevronRight, Trophy, Zap, BookOpen, Camera, Undo2, Redo2, History, ArchiveRestore, Users, RotateCcw, RotateCw, PaintBucket, Stamp, Type, Minus, Layers } from 'lucide-react';
+import { loadLibrary, saveStories, saveSettings, saveTrash, saveProfiles, createProfile, subscribeToLibraryChanges, applyRemoteStories, listRevisions, saveRevision, deleteRevision, saveAutoRevision, listGalleryPictures, saveGalleryPicture, deleteGalleryPicture } from './storage';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from './backupCrypto';
+import { createStoryPdf, PDF_PAGE_SIZES } from './pdf';
+import { createStoryEpub } from './epub';
+import { createStoryFlipbook } from './flipbook';
+import { STICKER_SIZE, getLayeredStickers, loadImage } from './bookRender';
+import { createDrawingData, roundPoint, drawShape, applyStroke, composeLayers, renderLayers, compactDrawing, DRAWING_LAYERS, SHAPE_TOOLS, FREEHAND_TOOLS } from './drawing';
+import { LINE_ART, LINE_ART_THEMES, LINE_ART_WIDTH, LINE_ART_HEIGHT, getLineArt, lineArtUrl, loadLineArt, createPaintCanvas, composeColoring, isOnLine, applyFill } from './lineArt';
+import { createColoringBook, coloringBookToPdf, DEFAULT_LINE_THRESHOLD } from './coloringPages';
+import { storyToMarkdown, storyToPlainText, parseStoryText, isTextStoryFile } from './storyText';
+import { isNarrationSupported, startNarrationRecorder, finishRecording, estimateWordTimings } from './narration';
+import { CROP_SHAPES, DEFAULT_PICTURE_EDIT, isPictureFile, readPictureFile, captureVideoFrame, getCropBox, renderPicture, pictureToDataUrl } from './pictures';
+import { WORD_SEARCH_LEVELS, shuffle, collectStoryWords, pickWords, createWordSearch, getLineCells, findPlacement } from './wordSearch';
+import { createShareCode, readShareCode, createShareLink, getLinkedShareCode, clearLinkedShareCode } from './shareCodes';
+import { generateId, createStory, createPage, createSticker, countWords, validateStory, parseImportData, findMatchingStory, mergeImportedStories, mergeStoryVersions, diffStoryPages } from './storySchema';
 
 
 // Text-to-Speech Utility Functions
@@ -73,82 +88,355 @@ const useTTS = (settings) => {
   return { speak, pause, resume, stop, isSpeaking, isPaused };
 };
 
+// Undo/Redo History Hook
+// Changes that share a group key (e.g. typing on one page) are merged into a
+// single undo step as long as they keep arriving within a second of each other.
+const HISTORY_LIMIT = 100;
+const HISTORY_GROUP_WINDOW = 1000;
+
+const useUndoHistory = (initialState) => {
+  const [history, setHistory] = useState({ past: [], present: initialState, future: [] });
+  const lastChange = useRef({ group: null, time: 0 });
+
+  const set = useCallback((updater, group = null) => {
+    const now = Date.now();
+    const merge = group !== null && lastChange.current.group === group && now - lastChange.current.time < HISTORY_GROUP_WINDOW;
+    lastChange.current = { group, time: now };
+
+    setHistory(h => {
+      const next = typeof updater === 'function' ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      return {
+        past: merge ? h.past : [...h.past, h.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: []
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    lastChange.current = { group: null, time: 0 };
+    setHistory(h => h.past.length === 0 ? h : {
+      past: h.past.slice(0, -1),
+      present: h.past[h.past.length - 1],
+      future: [h.present, ...h.future]
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    lastChange.current = { group: null, time: 0 };
+    setHistory(h => h.future.length === 0 ? h : {
+      past: [...h.past, h.present],
+      present: h.future[0],
+      future: h.future.slice(1)
+    });
+  }, []);
+
+  // Swaps in a new present without adding an undo step
+  const replace = useCallback((next) => {
+    lastChange.current = { group: null, time: 0 };
+    setHistory(h => next === h.present ? h : { ...h, present: next });
+  }, []);
+
+  return {
+    state: history.present,
+    set,
+    replace,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+};
+
+const defaultSettings = {
+  theme: 'light',
+  fontSize: 'medium',
+  fontFamily: 'default',
+  highContrast: false,
+  ttsEnabled: true,
+  ttsRate: 0.9,
+  ttsPitch: 1,
+  ttsVolume: 1,
+  animations: true,
+  backgroundMusic: false,
+  musicType: 'none',
+  wizardMode: false,
+  safeMode: false,
+  parentalControls: false,
+  keyboardNavigation: true,
+  highlightWords: true,
+  viewMode: 'grid',
+  autoSnapshots: 'session',
+  trashRetentionDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days until a trashed item is purged, or null when the trash is never emptied automatically
+const getTrashDaysLeft = (item, retentionDays) => {
+  if (!retentionDays) return null;
+  const age = Date.now() - new Date(item.deletedAt).getTime();
+  return Math.max(0, Math.ceil(retentionDays - age / DAY_MS));
+};
+
+const PROFILE_AVATARS = ['🦄', '🐶', '🐱', '🦊', '🐼', '🐸', '🦁', '🐙', '🦖', '🚀', '🌈', '⭐'];
+
 // Main App Component
 const App = () => {
-  const [stories, setStories] = useState(() => {
-    const saved = localStorage.getItem('stories');
-    return saved ? JSON.parse(saved) : [];
-  });
-  const [currentStory, setCurrentStory] = useState(null);
-  const [view, setView] = useState('home');
-  const [settings, setSettings] = useState(() => {
-    const saved = localStorage.getItem('settings');
-    return saved ? JSON.parse(saved) : {
-      theme: 'light',
-      fontSize: 'medium',
-      fontFamily: 'default',
-      highContrast: false,
-      ttsEnabled: true,
-      ttsRate: 0.9,
-      ttsPitch: 1,
-      ttsVolume: 1,
-      animations: true,
-      backgroundMusic: false,
-      musicType: 'none',
-      wizardMode: false,
-      safeMode: false,
-      parentalControls: false,
-      keyboardNavigation: true,
-      highlightWords: true,
-      viewMode: 'grid'
-    };
-  });
+  const [stories, setStories] = useState([]);
+  const [trash, setTrash] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [currentStoryId, setCurrentStoryId] = useState(null);
+  const [view, setView] = useState('profiles');
+  const [allSettings, setAllSettings] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  const [syncNotices, setSyncNotices] = useState([]);
+  const [importErrors, setImportErrors] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [encryptedImport, setEncryptedImport] = useState(null);
+  const [showBackupDialog, setShowBackupDialog] = useState(false);
+  const [sharedStory, setSharedStory] = useState(null);
   const [showRewards, setShowRewards] = useState(false);
   const [rewardType, setRewardType] = useState('badge');
-  const [showDailyChallenge, setShowDailyChallenge] = useState(() => {
-    const lastShown = localStorage.getItem('lastDailyChallengeDate');
-    const today = new Date().toDateString();
-    return lastShown !== today;
-  });
 
-  // Save stories to localStorage whenever they change
+  // Everything below the profile picker only sees the active profile's
+  // stories, trash and settings
+  const activeProfile = profiles.find(p => p.id === activeProfileId) || null;
+  const settings = useMemo(
+    () => ({ ...defaultSettings, ...allSettings[activeProfileId] }),
+    [allSettings, activeProfileId]
+  );
+  const setSettings = (newSettings) => {
+    setAllSettings(prev => ({ ...prev, [activeProfileId]: newSettings }));
+  };
+  const profileStories = useMemo(
+    () => stories.filter(s => s.profileId === activeProfileId),
+    [stories, activeProfileId]
+  );
+  const profileTrash = useMemo(
+    () => trash.filter(item => item.profileId === activeProfileId),
+    [trash, activeProfileId]
+  );
+
+  const showDailyChallenge = !!activeProfile && activeProfile.lastDailyChallengeDate !== new Date().toDateString();
+  const setShowDailyChallenge = (show) => {
+    if (!show) updateProfile(activeProfileId, { lastDailyChallengeDate: new Date().toDateString() });
+  };
+
+  // The open story is looked up by id so changes from anywhere (another tab,
+  // the trash, an import) reach the editor
+  const currentStory = stories.find(s => s.id === currentStoryId) || null;
+  const setCurrentStory = (story) => setCurrentStoryId(story ? story.id : null);
+
+  const storiesRef = useRef(stories);
   useEffect(() => {
-    localStorage.setItem('stories', JSON.stringify(stories));
+    storiesRef.current = stories;
   }, [stories]);
 
-  // Save settings to localStorage whenever they change
+  // Load stories, profiles and settings from IndexedDB (migrating old localStorage data on first run)
+  useEffect(() => {
+    loadLibrary()
+      .then(({ stories: savedStories, settings: savedSettings, trash: savedTrash, profiles: savedProfiles }) => {
+        setStories(savedStories);
+        setProfiles(savedProfiles);
+        setAllSettings(savedSettings);
+        // Purge anything that has been in the trash longer than its profile allows
+        setTrash(savedTrash.filter(item => {
+          const retentionDays = { ...defaultSettings, ...savedSettings[item.profileId] }.trashRetentionDays;
+          return getTrashDaysLeft(item, retentionDays) !== 0;
+        }));
+        // With a single profile there is nobody to choose between
+        if (savedProfiles.length === 1) {
+          setActiveProfileId(savedProfiles[0].id);
+          setView('home');
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load stories:', error);
+        setStorageError(`We couldn't open your saved stories: ${error.message}`);
+      })
+      .finally(() => setIsLoaded(true));
+  }, []);
+
+  // Save stories to IndexedDB whenever they change
+  useEffect(() => {
+    if (!isLoaded) return;
+    saveStories(stories)
+      .then(({ merged, conflicts }) => {
+        setStorageError(null);
+        if (merged.length > 0) {
+          // Swap in the merged versions, rebasing any edits made while saving
+          setStories(prev => prev.map(s => {
+            const entry = merged.find(m => m.mine.id === s.id);
+            if (!entry) return s;
+            return s === entry.mine ? entry.merged : mergeStoryVersions(entry.mine, s, entry.merged).story;
+          }));
+        }
+        if (conflicts.length > 0) setSyncNotices(prev => [...prev, ...conflicts]);
+      })
+      .catch(error => {
+        console.error('Failed to save stories:', error);
+        setStorageError(`Your latest changes could not be saved: ${error.message}`);
+      });
+  }, [stories, isLoaded]);
+
+  // Keep this tab in step with saves made in other tabs
   useEffect(() => {
-    localStorage.setItem('settings', JSON.stringify(settings));
-  }, [settings]);
+    if (!isLoaded) return;
+    return subscribeToLibraryChanges({
+      onStories: (changes) => {
+        const { updates, additions, removals } = applyRemoteStories(storiesRef.current, changes);
+        if (updates.length === 0 && additions.length === 0 && removals.length === 0) return;
+        setStories(prev => {
+          const next = prev
+            .filter(s => !removals.includes(s))
+            .map(s => updates.find(u => u.from === s)?.to || s);
+          return [...next, ...additions.filter(a => !next.some(s => s.id === a.id))];
+        });
+      },
+      onTrash: setTrash,
+      onSettings: (profileId, remoteSettings) => {
+        setAllSettings(prev => ({ ...prev, [profileId]: remoteSettings }));
+      },
+      onProfiles: setProfiles
+    });
+  }, [isLoaded]);
 
-  // Save daily challenge state
+  // Return to the profile picker if the active profile was deleted in another tab
   useEffect(() => {
-    if (!showDailyChallenge) {
-      localStorage.setItem('lastDailyChallengeDate', new Date().toDateString());
+    if (activeProfileId !== null && !activeProfile) {
+      setActiveProfileId(null);
+      setCurrentStoryId(null);
+      setView('profiles');
     }
-  }, [showDailyChallenge]);
-  // Note: localStorage is not supported in Claude.ai artifacts
-  // All data is stored in memory and will be lost on refresh
-  // added back the local storage
-
-  const createNewStory = () => {
-    const newStory = {
-      id: Date.now(),
-      title: 'My New Story',
-      pages: [],
-      createdAt: new Date().toISOString(),
-      wordCount: 0,
-      badges: [],
-      backgroundMusic: 'none',
-      completionDate: null,
-      dailyProgress: {}
+  }, [activeProfileId, activeProfile]);
+
+  // Open a story shared as a #story= link, read-only until it is imported
+  useEffect(() => {
+    if (!isLoaded) return;
+    const openLinkedStory = () => {
+      const code = getLinkedShareCode();
+      if (!code) return;
+      readShareCode(code)
+        .then(story => {
+          setSharedStory(story);
+          setView('shared');
+        })
+        .catch(error => {
+          clearLinkedShareCode();
+          setImportErrors([{ path: 'share link', message: error.message }]);
+        });
     };
+    openLinkedStory();
+    window.addEventListener('hashchange', openLinkedStory);
+    return () => window.removeEventListener('hashchange', openLinkedStory);
+  }, [isLoaded]);
+
+  // Leave story views when the open story disappears (e.g. deleted in another tab)
+  useEffect(() => {
+    if (isLoaded && !currentStory && ['editor', 'wizard', 'preview'].includes(view)) {
+      setView('home');
+    }
+  }, [isLoaded, currentStory, view]);
+
+  // Save the trash to IndexedDB whenever it changes
+  useEffect(() => {
+    if (!isLoaded) return;
+    saveTrash(trash).catch(error => {
+      console.error('Failed to save trash:', error);
+      setStorageError(`The trash could not be saved: ${error.message}`);
+    });
+  }, [trash, isLoaded]);
+
+  // Save each profile's settings to IndexedDB whenever they change
+  useEffect(() => {
+    if (!isLoaded) return;
+    Object.entries(allSettings).forEach(([profileId, profileSettings]) => {
+      saveSettings(profileId, profileSettings).catch(error => {
+        console.error('Failed to save settings:', error);
+        setStorageError(`Your settings could not be saved: ${error.message}`);
+      });
+    });
+  }, [allSettings, isLoaded]);
+
+  // Save profiles to IndexedDB whenever they change
+  useEffect(() => {
+    if (!isLoaded) return;
+    saveProfiles(profiles).catch(error => {
+      console.error('Failed to save profiles:', error);
+      setStorageError(`Your profiles could not be saved: ${error.message}`);
+    });
+  }, [profiles, isLoaded]);
+
+  const selectProfile = (profileId) => {
+    setActiveProfileId(profileId);
+    setCurrentStoryId(null);
+    setView('home');
+  };
+
+  const addProfile = (details) => {
+    const profile = createProfile(details);
+    setProfiles(prev => [...prev, profile]);
+    return profile;
+  };
+
+  const updateProfile = (profileId, updates) => {
+    setProfiles(prev => prev.map(p => p.id === profileId ? { ...p, ...updates } : p));
+  };
+
+  // Only profiles without stories can be deleted, so no writing is lost
+  const deleteProfile = (profileId) => {
+    if (stories.some(s => s.profileId === profileId)) return;
+    setProfiles(prev => prev.filter(p => p.id !== profileId));
+    setTrash(prev => prev.filter(item => item.profileId !== profileId));
+    setAllSettings(prev => {
+      const { [profileId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // mode is 'move' or 'copy'; a copy gets a fresh id so both can be edited separately
+  const transferStory = (story, profileId, mode) => {
+    if (mode === 'move') {
+      updateStory({ ...story, profileId });
+      if (currentStoryId === story.id) setCurrentStoryId(null);
+    } else {
+      addStory({ ...story, id: generateId(), profileId });
+    }
+  };
+
+  // details can prefill the story, e.g. the title and pages of an imported text
+  const createNewStory = (details = {}) => {
+    const newStory = createStory({ ...details, profileId: activeProfileId });
     setStories([...stories, newStory]);
     setCurrentStory(newStory);
     setView(settings.wizardMode ? 'wizard' : 'editor');
   };
 
+  // Markdown or plain text split into pages by headings, --- or blank lines
+  const createStoryFromText = (text, fallbackTitle) => {
+    const { title, pages } = parseStoryText(text);
+    if (pages.length === 0) {
+      setImportErrors([{ path: fallbackTitle, message: 'there is no story text to turn into pages' }]);
+      return;
+    }
+    createNewStory({ title: title || fallbackTitle, pages });
+  };
+
   const deleteStory = (id) => {
+    const position = stories.findIndex(s => s.id === id);
+    if (position === -1) return;
+    setTrash(prev => [...prev, {
+      id: generateId(),
+      type: 'story',
+      item: stories[position],
+      profileId: activeProfileId,
+      position,
+      deletedAt: new Date().toISOString()
+    }]);
     setStories(stories.filter(s => s.id !== id));
     if (currentStory?.id === id) {
       setCurrentStory(null);
@@ -156,9 +444,60 @@ const App = () => {
     }
   };
 
+  // A deleted page that came back (an undo in the editor) leaves the trash
+  const untrashPages = (storyId, pageIds) => {
+    setTrash(prev => prev.filter(item => !(item.type === 'page' && item.storyId === storyId && pageIds.includes(item.item.id))));
+  };
+
+  const trashPage = (story, page, position) => {
+    setTrash(prev => [...prev, {
+      id: generateId(),
+      type: 'page',
+      item: page,
+      profileId: story.profileId,
+      storyId: story.id,
+      storyTitle: story.title,
+      position,
+      deletedAt: new Date().toISOString()
+    }]);
+  };
+
+  // Puts a trashed story or page back where it was deleted from
+  const restoreFromTrash = (trashItem) => {
+    if (trashItem.type === 'story') {
+      const restored = trashItem.item;
+      setStories(prev => {
+        if (prev.some(s => s.id === restored.id)) {
+          return [...prev, { ...restored, id: generateId() }];
+        }
+        const next = [...prev];
+        next.splice(Math.min(trashItem.position, next.length), 0, restored);
+        return next;
+      });
+    } else {
+      const parent = stories.find(s => s.id === trashItem.storyId);
+      if (!parent) {
+        addStory(createStory({ title: `${trashItem.storyTitle} (restored page)`, profileId: trashItem.profileId, pages: [trashItem.item] }));
+      } else if (!parent.pages.some(p => p.id === trashItem.item.id)) {
+        const pages = [...parent.pages];
+        pages.splice(Math.min(trashItem.position, pages.length), 0, trashItem.item);
+        const restoredStory = { ...parent, pages, wordCount: countWords(pages) };
+        setStories(prev => prev.map(s => s.id === parent.id ? restoredStory : s));
+      }
+    }
+    setTrash(prev => prev.filter(item => item.id !== trashItem.id));
+  };
+
+  const deleteFromTrash = (ids) => {
+    setTrash(prev => prev.filter(item => !ids.includes(item.id)));
+  };
+
+  const addStory = (newStory) => {
+    setStories(prev => [...prev, newStory]);
+  };
+
   const updateStory = (updatedStory) => {
-    setStories(stories.map(s => s.id === updatedStory.id ? updatedStory : s));
-    setCurrentStory(updatedStory);
+    setStories(prev => prev.map(s => s.id === updatedStory.id ? updatedStory : s));
   };
 
   const getThemeClasses = () => {
@@ -169,50 +508,168 @@ const App = () => {
     return `${base} ${contrast} min-h-screen transition-colors duration-300`;
   };
 
-  const exportAllStories = () => {
-    const dataStr = JSON.stringify({ stories, settings, exportDate: new Date().toISOString() }, null, 2);
+  // With a passphrase the backup is encrypted; without one it is plain JSON
+  const exportAllStories = async (passphrase) => {
+    let dataStr = JSON.stringify({ stories: profileStories, settings, exportDate: new Date().toISOString() }, null, 2);
+    if (passphrase) {
+      dataStr = JSON.stringify(await encryptBackup(dataStr, passphrase));
+    }
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `all-stories-backup-${Date.now()}.json`;
+    link.download = `all-stories-backup-${Date.now()}${passphrase ? '-protected' : ''}.json`;
     link.click();
   };
 
+  const previewImport = (fileName, data) => {
+    const { stories: importedStories, settings: importedSettings, errors } = parseImportData(data);
+    if (errors.length > 0) {
+      setImportErrors(errors);
+      return;
+    }
+    if (importedStories.length === 0) {
+      setImportErrors([{ path: fileName, message: 'this file does not contain any stories' }]);
+      return;
+    }
+
+    setPendingImport({
+      fileName,
+      stories: importedStories.map(story => ({ ...story, profileId: activeProfileId })),
+      settings: importedSettings,
+      matches: importedStories.map(story => findMatchingStory(profileStories, story))
+    });
+  };
+
   const importStories = (e) => {
     const file = e.target.files[0];
-    if (file) {
+    if (file && isTextStoryFile(file.name)) {
+      file.text().then(text => createStoryFromText(text, file.name.replace(/\.[^.]+$/, '')));
+    } else if (file) {
       const reader = new FileReader();
       reader.onload = (event) => {
+        let data;
         try {
-          const data = JSON.parse(event.target.result);
-          if (data.stories) {
-            setStories([...stories, ...data.stories]);
-            alert('Stories imported successfully!');
-          }
+          data = JSON.parse(event.target.result);
         } catch (error) {
-          alert('Error importing file. Please check the file format.');
+          setImportErrors([{ path: file.name, message: `this is not a valid story file (${error.message})` }]);
+          return;
+        }
+
+        // Protected backups are previewed once the passphrase has unlocked them
+        if (isEncryptedBackup(data)) {
+          setEncryptedImport({ fileName: file.name, backup: data });
+          return;
         }
+        previewImport(file.name, data);
       };
       reader.readAsText(file);
     }
+    e.target.value = '';
+  };
+
+  const closeSharedStory = () => {
+    clearLinkedShareCode();
+    setSharedStory(null);
+    setView(activeProfile ? 'home' : 'profiles');
+  };
+
+  // Throws WrongPassphraseError or DamagedBackupError for the passphrase prompt to show
+  const unlockImport = async (passphrase) => {
+    const text = await decryptBackup(encryptedImport.backup, passphrase);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      setEncryptedImport(null);
+      setImportErrors([{ path: encryptedImport.fileName, message: `this is not a valid story file (${error.message})` }]);
+      return;
+    }
+    setEncryptedImport(null);
+    previewImport(encryptedImport.fileName, data);
+  };
+
+  const confirmImport = (choices, restoreSettings) => {
+    const { stories: importedStories, settings: importedSettings, matches } = pendingImport;
+    const merged = mergeImportedStories(stories, importedStories, choices, matches);
+    setStories(merged);
+    if (restoreSettings && importedSettings) {
+      setSettings({ ...defaultSettings, ...importedSettings });
+    }
+    setPendingImport(null);
+    if (sharedStory) {
+      clearLinkedShareCode();
+      setSharedStory(null);
+    }
+    setView('home');
   };
 
+  if (!isLoaded) {
+    return (
+      <div className={getThemeClasses()}>
+        <div className="flex flex-col items-center justify-center min-h-screen gap-4">
+          <Book className="w-16 h-16 animate-pulse" />
+          <p className="text-xl font-semibold">Loading your stories...</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className={getThemeClasses()} style={{ fontFamily: settings.fontFamily === 'dyslexic' ? 'Arial, sans-serif' : 'inherit', fontSize: settings.fontSize === 'large' ? '1.2em' : '1em' }}>
-      <Header 
-        view={view} 
-        setView={setView} 
-        settings={settings} 
-        currentStory={currentStory}
-        exportAllStories={exportAllStories}
-        importStories={importStories}
-      />
+      {activeProfile && !['profiles', 'shared'].includes(view) && (
+        <Header 
+          view={view} 
+          setView={setView} 
+          settings={settings} 
+          currentStory={currentStory}
+          profile={activeProfile}
+          openBackupDialog={() => setShowBackupDialog(true)}
+          importStories={importStories}
+        />
+      )}
       
       <main className="container mx-auto px-4 py-6 max-w-7xl">
-        {view === 'home' && (
+        {storageError && (
+          <div className="bg-red-100 text-red-800 p-4 rounded-xl shadow mb-6 flex justify-between items-start gap-4">
+            <p className="font-semibold">⚠️ {storageError}</p>
+            <button onClick={() => setStorageError(null)} className="text-red-600 hover:text-red-800">✕</button>
+          </div>
+        )}
+
+        {syncNotices.length > 0 && (
+          <div className="bg-yellow-100 text-yellow-900 p-4 rounded-xl shadow mb-6 flex justify-between items-start gap-4">
+            <div>
+              <p className="font-semibold">🔄 This story library was also changed in another tab:</p>
+              <ul className="list-disc ml-6 text-sm">
+                {syncNotices.map((notice, i) => <li key={i}>{notice}</li>)}
+              </ul>
+            </div>
+            <button onClick={() => setSyncNotices([])} className="text-yellow-700 hover:text-yellow-900">✕</button>
+          </div>
+        )}
+
+        {view === 'profiles' && (
+          <ProfilePicker
+            profiles={profiles}
+            stories={stories}
+            activeProfileId={activeProfileId}
+            selectProfile={selectProfile}
+            addProfile={addProfile}
+            updateProfile={updateProfile}
+            deleteProfile={deleteProfile}
+            settings={settings}
+          />
+        )}
+
+        {view === 'home' && activeProfile && (
           <HomeView 
-            stories={stories} 
+            stories={profileStories} 
+            profile={activeProfile}
+            profiles={profiles}
+            transferStory={transferStory}
+            importSharedStory={(story) => previewImport('Story code', story)}
+            createStoryFromText={createStoryFromText}
             createNewStory={createNewStory}
             setCurrentStory={setCurrentStory}
             setView={setView}
@@ -228,10 +685,14 @@ const App = () => {
           <StoryEditor 
             story={currentStory}
             updateStory={updateStory}
+            addStory={addStory}
             setView={setView}
             settings={settings}
             setShowRewards={setShowRewards}
             setRewardType={setRewardType}
+            trashPage={trashPage}
+            untrashPages={untrashPages}
+            authorName={activeProfile?.name}
           />
         )}
 
@@ -252,6 +713,16 @@ const App = () => {
           />
         )}
         
+        {view === 'shared' && sharedStory && (
+          <SharedStoryView
+            story={sharedStory}
+            canSave={!!activeProfile}
+            onSave={() => previewImport('Shared story', sharedStory)}
+            onClose={closeSharedStory}
+            settings={settings}
+          />
+        )}
+
         {view === 'settings' && (
           <SettingsView 
             settings={settings}
@@ -260,29 +731,79 @@ const App = () => {
           />
         )}
 
-        {view === 'dashboard' && (
-          <ProgressDashboard
+        {view === 'trash' && (
+          <TrashView
+            trash={profileTrash}
             stories={stories}
+            restoreFromTrash={restoreFromTrash}
+            deleteFromTrash={deleteFromTrash}
+            setView={setView}
+            settings={settings}
+          />
+        )}
+
+        {view === 'dashboard' && activeProfile && (
+          <ProgressDashboard
+            stories={profileStories}
+            profile={activeProfile}
             setView={setView}
             settings={settings}
           />
         )}
 
-        {view === 'games' && (
+        {view === 'games' && activeProfile && (
           <MiniGames
-            stories={stories}
+            stories={profileStories}
+            updateStory={updateStory}
+            profile={activeProfile}
+            updateProfile={updateProfile}
             setView={setView}
             settings={settings}
           />
         )}
       </main>
 
+      {showBackupDialog && (
+        <BackupDialog
+          exportAllStories={exportAllStories}
+          onClose={() => setShowBackupDialog(false)}
+          settings={settings}
+        />
+      )}
+
+      {encryptedImport && (
+        <PassphrasePrompt
+          fileName={encryptedImport.fileName}
+          onUnlock={unlockImport}
+          onCancel={() => setEncryptedImport(null)}
+          settings={settings}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportDialog
+          pendingImport={pendingImport}
+          onConfirm={confirmImport}
+          onCancel={() => setPendingImport(null)}
+          settings={settings}
+        />
+      )}
+
+      {importErrors && (
+        <ImportErrorReport
+          errors={importErrors}
+          onClose={() => setImportErrors(null)}
+          settings={settings}
+        />
+      )}
+
       {showRewards && (
         <RewardsModal 
           onClose={() => setShowRewards(false)} 
           settings={settings}
           rewardType={rewardType}
           story={currentStory}
+          authorName={activeProfile?.name}
         />
       )}
     </div>
@@ -290,7 +811,7 @@ const App = () => {
 };
 
 // Header Component
-const Header = ({ view, setView, settings, currentStory, exportAllStories, importStories }) => {
+const Header = ({ view, setView, settings, currentStory, profile, openBackupDialog, importStories }) => {
   const bgColor = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFB347]';
   const fileInputRef = useRef(null);
   
@@ -304,6 +825,17 @@ const Header = ({ view, setView, settings, currentStory, exportAllStories, impor
           </div>
           
           <nav className="flex gap-2 flex-wrap">
+            {profile && (
+              <button
+                onClick={() => setView('profiles')}
+                className="px-4 py-2 rounded-lg font-semibold transition-all hover:bg-[#FFD580]"
+                title="Switch Profile"
+              >
+                <span className="mr-1">{profile.avatar}</span>
+                {profile.name}
+              </button>
+            )}
+
             <button
               onClick={() => setView('home')}
               className={`px-4 py-2 rounded-lg font-semibold transition-all ${view === 'home' ? 'bg-white text-[#333333]' : 'hover:bg-[#FFD580]'}`}
@@ -357,6 +889,14 @@ const Header = ({ view, setView, settings, currentStory, exportAllStories, impor
               Games
             </button>
             
+            <button
+              onClick={() => setView('trash')}
+              className={`px-4 py-2 rounded-lg font-semibold transition-all ${view === 'trash' ? 'bg-white text-[#333333]' : 'hover:bg-[#FFD580]'}`}
+            >
+              <Trash2 className="w-5 h-5 inline mr-1" />
+              Trash
+            </button>
+
             <button
               onClick={() => setView('settings')}
               className={`px-4 py-2 rounded-lg font-semibold transition-all ${view === 'settings' ? 'bg-white text-[#333333]' : 'hover:bg-[#FFD580]'}`}
@@ -374,7 +914,7 @@ const Header = ({ view, setView, settings, currentStory, exportAllStories, impor
             </button>
 
             <button
-              onClick={exportAllStories}
+              onClick={openBackupDialog}
               className="px-4 py-2 rounded-lg font-semibold transition-all hover:bg-[#FFD580]"
               title="Backup All Stories"
             >
@@ -383,7 +923,7 @@ const Header = ({ view, setView, settings, currentStory, exportAllStories, impor
             <input
               ref={fileInputRef}
               type="file"
-              accept=".json"
+              accept=".json,.md,.markdown,.txt"
               onChange={importStories}
               className="hidden"
             />
@@ -436,9 +976,14 @@ const DailyChallenge = ({ onClose, createNewStory, settings }) => {
 };
 
 // Home View Component
-const HomeView = ({ stories, createNewStory, setCurrentStory, setView, deleteStory, settings, setSettings, showDailyChallenge, setShowDailyChallenge }) => {
+const HomeView = ({ stories, profile, profiles, transferStory, importSharedStory, createStoryFromText, createNewStory, setCurrentStory, setView, deleteStory, settings, setSettings, showDailyChallenge, setShowDailyChallenge }) => {
+  const [transferringStory, setTransferringStory] = useState(null);
+  const [sharingStory, setSharingStory] = useState(null);
+  const [showPasteCode, setShowPasteCode] = useState(false);
+  const [showTextImport, setShowTextImport] = useState(false);
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+  const otherProfiles = profiles.filter(p => p.id !== profile.id);
   
   return (
     <div className="space-y-6">
@@ -451,18 +996,26 @@ const HomeView = ({ stories, createNewStory, setCurrentStory, setView, deleteSto
       )}
 
       <div className="text-center py-8">
-        <h2 className="text-4xl font-bold mb-4">Welcome to Story Creator! ✨</h2>
+        <h2 className="text-4xl font-bold mb-4">Welcome, {profile.name}! {profile.avatar}</h2>
         <p className="text-xl mb-6">Create amazing stories with pictures, sounds, and your imagination!</p>
         
         <div className="flex gap-4 justify-center flex-wrap">
           <button
-            onClick={createNewStory}
+            onClick={() => createNewStory()}
             className={`${buttonBg} px-8 py-4 rounded-xl font-bold text-lg shadow-lg transition-all transform hover:scale-105`}
           >
             <Plus className="w-6 h-6 inline mr-2" />
             Create New Story
           </button>
 
+          <button
+            onClick={() => setShowTextImport(true)}
+            className={`${buttonBg} px-8 py-4 rounded-xl font-bold text-lg shadow-lg transition-all transform hover:scale-105`}
+          >
+            <FileText className="w-6 h-6 inline mr-2" />
+            Story from Text
+          </button>
+
           <button
             onClick={() => setView('games')}
             className={`${buttonBg} px-8 py-4 rounded-xl font-bold text-lg shadow-lg transition-all transform hover:scale-105`}
@@ -470,6 +1023,14 @@ const HomeView = ({ stories, createNewStory, setCurrentStory, setView, deleteSto
             <Zap className="w-6 h-6 inline mr-2" />
             Play Games
           </button>
+
+          <button
+            onClick={() => setShowPasteCode(true)}
+            className={`${buttonBg} px-8 py-4 rounded-xl font-bold text-lg shadow-lg transition-all transform hover:scale-105`}
+          >
+            <Share2 className="w-6 h-6 inline mr-2" />
+            Paste a Story Code
+          </button>
         </div>
       </div>
 
@@ -531,16 +1092,21 @@ const HomeView = ({ stories, createNewStory, setCurrentStory, setView, deleteSto
                     {settings.safeMode ? 'Read' : 'Open'}
                   </button>
                   <button
-                    onClick={() => {
-                      const dataStr = JSON.stringify(story, null, 2);
-                      navigator.clipboard.writeText(dataStr);
-                      alert('Story code copied! Share with friends to import.');
-                    }}
+                    onClick={() => setSharingStory(story)}
                     className={`${buttonBg} px-3 py-2 rounded-lg transition-all`}
                     title="Share Story"
                   >
                     <Share2 className="w-5 h-5" />
                   </button>
+                  {otherProfiles.length > 0 && (
+                    <button
+                      onClick={() => setTransferringStory(story)}
+                      className={`${buttonBg} px-3 py-2 rounded-lg transition-all`}
+                      title="Move or Copy to Another Profile"
+                    >
+                      <Users className="w-5 h-5" />
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -548,6 +1114,49 @@ const HomeView = ({ stories, createNewStory, setCurrentStory, setView, deleteSto
         </div>
       )}
 
+      {sharingStory && (
+        <ShareDialog
+          story={sharingStory}
+          onClose={() => setSharingStory(null)}
+          settings={settings}
+        />
+      )}
+
+      {showTextImport && (
+        <TextImportDialog
+          onCreate={(text) => {
+            setShowTextImport(false);
+            createStoryFromText(text, 'My New Story');
+          }}
+          onCancel={() => setShowTextImport(false)}
+          settings={settings}
+        />
+      )}
+
+      {showPasteCode && (
+        <PasteCodeDialog
+          onImport={(story) => {
+            setShowPasteCode(false);
+            importSharedStory(story);
+          }}
+          onCancel={() => setShowPasteCode(false)}
+          settings={settings}
+        />
+      )}
+
+      {transferringStory && (
+        <TransferStoryDialog
+          story={transferringStory}
+          profiles={otherProfiles}
+          onTransfer={(profileId, mode) => {
+            transferStory(transferringStory, profileId, mode);
+            setTransferringStory(null);
+          }}
+          onCancel={() => setTransferringStory(null)}
+          settings={settings}
+        />
+      )}
+
       {stories.length === 0 && (
         <div className={`${cardBg} p-12 rounded-xl text-center`}>
           <Book className="w-16 h-16 mx-auto mb-4 opacity-50" />
@@ -558,64 +1167,427 @@ const HomeView = ({ stories, createNewStory, setCurrentStory, setView, deleteSto
   );
 };
 
-// Wizard Mode Component
-const WizardMode = ({ story, updateStory, setView, settings }) => {
-  const [step, setStep] = useState(0);
-  const [currentPage, setCurrentPage] = useState({ id: Date.now(), text: '', emotion: null, background: 'default', stickers: [] });
+// Profile Picker Component
+const ProfilePicker = ({ profiles, stories, activeProfileId, selectProfile, addProfile, updateProfile, deleteProfile, settings }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [avatar, setAvatar] = useState(PROFILE_AVATARS[0]);
 
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
-  const steps = [
-    { title: 'Write Your Text', icon: <Edit2 className="w-8 h-8" /> },
-    { title: 'Choose Emotion', icon: <Sparkles className="w-8 h-8" /> },
-    { title: 'Pick Background', icon: <Palette className="w-8 h-8" /> },
-    { title: 'Add Stickers', icon: <Star className="w-8 h-8" /> }
-  ];
+  const countStories = (profileId) => stories.filter(s => s.profileId === profileId).length;
 
-  const emotions = ['😊', '😢', '😮', '😡', '😍', '😴', '🤔', '😱', '😆', '😇'];
-  const backgrounds = [
-    { name: 'Default', value: 'default', class: 'bg-white' },
-    { name: 'Sky', value: 'sky', class: 'bg-gradient-to-b from-blue-300 to-blue-100' },
-    { name: 'Forest', value: 'forest', class: 'bg-gradient-to-b from-green-400 to-green-200' },
-    { name: 'Space', value: 'space', class: 'bg-gradient-to-b from-purple-900 to-black' }
-  ];
-  const stickers = ['⭐', '❤️', '🌈', '🦄', '🐱', '🐶', '🌸', '🎈'];
+  // editingId is 'new' while adding a profile
+  const startEditing = (profile) => {
+    setEditingId(profile ? profile.id : 'new');
+    setName(profile ? profile.name : '');
+    setAvatar(profile ? profile.avatar : PROFILE_AVATARS[profiles.length % PROFILE_AVATARS.length]);
+  };
 
-  const savePage = () => {
-    const updatedPages = [...story.pages, currentPage];
-    updateStory({ ...story, pages: updatedPages });
-    setCurrentPage({ id: Date.now(), text: '', emotion: null, background: 'default', stickers: [] });
-    setStep(0);
-    alert('Page added! Create another or go back to editor.');
+  const saveProfile = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (editingId === 'new') {
+      const profile = addProfile({ name: trimmed, avatar });
+      selectProfile(profile.id);
+    } else {
+      updateProfile(editingId, { name: trimmed, avatar });
+    }
+    setEditingId(null);
   };
 
-  return (
-    <div className="max-w-3xl mx-auto">
-      <div className={`${cardBg} p-6 rounded-xl shadow-lg mb-6`}>
-        <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold">🪄 Step-by-Step Story Creator</h2>
-          <button
-            onClick={() => setView('editor')}
-            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}
-          >
-            Exit Wizard
-          </button>
-        </div>
+  const removeProfile = (profile) => {
+    if (window.confirm(`Delete the profile "${profile.name}"?`)) {
+      deleteProfile(profile.id);
+      setEditingId(null);
+    }
+  };
 
-        <div className="flex justify-between mb-8">
-          {steps.map((s, i) => (
-            <div key={i} className={`flex flex-col items-center ${i === step ? 'text-[#FFB347]' : 'opacity-50'}`}>
-              {s.icon}
-              <p className="text-sm mt-2">{s.title}</p>
-            </div>
-          ))}
-        </div>
+  if (editingId !== null) {
+    const editing = profiles.find(p => p.id === editingId);
+    const storyCount = editing ? countStories(editing.id) : 0;
 
-        <div className="min-h-[300px]">
-          {step === 0 && (
-            <div>
-              <label className="block font-bold mb-2 text-lg">What happens on this page?</label>
+    return (
+      <form onSubmit={saveProfile} className={`${cardBg} max-w-lg mx-auto p-8 rounded-xl shadow-lg space-y-6`}>
+        <h2 className="text-3xl font-bold text-center">{editing ? 'Edit Profile' : 'New Profile'}</h2>
+
+        <div>
+          <label className="block font-semibold mb-2">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={30}
+            placeholder="Who is writing?"
+            className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none text-xl`}
+            autoFocus
+          />
+        </div>
+
+        <div>
+          <label className="block font-semibold mb-2">Picture</label>
+          <div className="grid grid-cols-6 gap-2">
+            {PROFILE_AVATARS.map(emoji => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => setAvatar(emoji)}
+                className={`text-4xl p-2 rounded-lg transition-all ${avatar === emoji ? 'bg-[#8ED1FC] scale-110' : 'hover:bg-gray-200'}`}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-4 justify-center">
+          <button type="button" onClick={() => setEditingId(null)} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button type="submit" disabled={!name.trim()} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            Save
+          </button>
+        </div>
+
+        {editing && profiles.length > 1 && (
+          <div className="border-t pt-4 text-center">
+            {storyCount > 0 ? (
+              <p className="text-sm opacity-75">
+                To delete this profile, first move or delete its {storyCount} {storyCount === 1 ? 'story' : 'stories'}.
+              </p>
+            ) : (
+              <button type="button" onClick={() => removeProfile(editing)} className="text-red-500 hover:text-red-700 font-semibold">
+                <Trash2 className="w-4 h-4 inline mr-1" />
+                Delete Profile
+              </button>
+            )}
+          </div>
+        )}
+      </form>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center py-8">
+        <Book className="w-12 h-12 mx-auto mb-4" />
+        <h2 className="text-4xl font-bold">Who's writing today?</h2>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 max-w-4xl mx-auto">
+        {profiles.map(profile => (
+          <div key={profile.id} className={`${cardBg} relative rounded-xl shadow-lg hover:shadow-xl transition-all ${profile.id === activeProfileId ? 'ring-4 ring-[#8ED1FC]' : ''}`}>
+            <button
+              onClick={() => selectProfile(profile.id)}
+              className="w-full p-6 text-center transform hover:scale-105 transition-all"
+            >
+              <div className="text-6xl mb-2">{profile.avatar}</div>
+              <p className="text-xl font-bold">{profile.name}</p>
+              <p className="text-sm opacity-75">📚 {countStories(profile.id)} stories</p>
+            </button>
+            <button
+              onClick={() => startEditing(profile)}
+              className="absolute top-2 right-2 p-1 opacity-60 hover:opacity-100"
+              title="Edit Profile"
+            >
+              <Edit2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+
+        <button
+          onClick={() => startEditing(null)}
+          className={`${cardBg} p-6 rounded-xl shadow-lg hover:shadow-xl border-4 border-dashed border-gray-300 text-center transition-all`}
+        >
+          <Plus className="w-12 h-12 mx-auto mb-2 opacity-60" />
+          <p className="text-xl font-bold">Add Profile</p>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Transfer Story Dialog Component
+const TransferStoryDialog = ({ story, profiles, onTransfer, onCancel, settings }) => {
+  const [profileId, setProfileId] = useState(profiles[0].id);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const itemBg = settings.theme === 'dark' ? 'bg-gray-700' : 'bg-white';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-md w-full`}>
+        <h3 className="text-2xl font-bold mb-2">Move or Copy Story</h3>
+        <p className="mb-4">Which profile should get "{story.title}"?</p>
+
+        <div className="space-y-2 mb-6">
+          {profiles.map(profile => (
+            <label key={profile.id} className={`${itemBg} flex items-center gap-3 p-3 rounded-lg cursor-pointer ${profileId === profile.id ? 'ring-2 ring-[#8ED1FC]' : ''}`}>
+              <input
+                type="radio"
+                name="transfer-profile"
+                checked={profileId === profile.id}
+                onChange={() => setProfileId(profile.id)}
+              />
+              <span className="text-2xl">{profile.avatar}</span>
+              <span className="font-semibold">{profile.name}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex gap-4 justify-end">
+          <button onClick={onCancel} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button onClick={() => onTransfer(profileId, 'copy')} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold`}>
+            Copy
+          </button>
+          <button onClick={() => onTransfer(profileId, 'move')} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold`}>
+            Move
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Share Dialog Component
+// Links longer than this may be cut off by chat and email apps
+const LONG_LINK_LENGTH = 8000;
+
+const ShareDialog = ({ story, onClose, settings }) => {
+  const hasPictures = story.pages.some(page => page.drawing || page.image);
+  const hasNarration = story.pages.some(page => page.audio);
+  const [includePictures, setIncludePictures] = useState(hasPictures);
+  const [code, setCode] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  useEffect(() => {
+    let cancelled = false;
+    setCode(null);
+    setError(null);
+    createShareCode(story, { includePictures })
+      .then(newCode => { if (!cancelled) setCode(newCode); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [story, includePictures]);
+
+  const link = code && createShareLink(code);
+
+  const copy = (text, what) => {
+    navigator.clipboard.writeText(text)
+      .then(() => setCopied(what))
+      .catch(() => setError('Copying was blocked by the browser. Select the code and copy it by hand.'));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-lg w-full`}>
+        <h3 className="text-2xl font-bold mb-2">
+          <Share2 className="w-6 h-6 inline mr-2" />
+          Share "{story.title}"
+        </h3>
+        <p className="mb-4 text-sm opacity-75">Friends can paste this code into Story Creator, or open the link to read the story.</p>
+
+        {hasPictures && (
+          <label className="flex items-center gap-3 mb-4 cursor-pointer">
+            <input type="checkbox" checked={includePictures} onChange={(e) => setIncludePictures(e.target.checked)} />
+            <span className="font-semibold">Include drawings and photos</span>
+            <span className="text-sm opacity-75">(makes the code much longer)</span>
+          </label>
+        )}
+        {hasNarration && (
+          <p className="mb-4 text-sm opacity-75">🎙️ Recorded voices stay on this device and are not part of the code.</p>
+        )}
+
+        <textarea
+          readOnly
+          value={code || (error ? '' : 'Making your code...')}
+          onFocus={(e) => e.target.select()}
+          className={`${inputBg} w-full h-28 px-3 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none font-mono text-xs break-all`}
+        />
+        {code && <p className="text-sm opacity-75 mt-1">{code.length.toLocaleString()} characters</p>}
+        {link && link.length > LONG_LINK_LENGTH && (
+          <p className="text-sm text-yellow-700 mt-1">This link is very long and some apps may cut it off. Try sharing without pictures or use the code instead.</p>
+        )}
+        {error && <p className="text-sm text-red-600 mt-2">⚠️ {error}</p>}
+
+        <div className="flex gap-4 mt-6 justify-end flex-wrap">
+          <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Close
+          </button>
+          <button onClick={() => copy(link, 'link')} disabled={!code} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            {copied === 'link' ? '✓ Link Copied' : 'Copy Link'}
+          </button>
+          <button onClick={() => copy(code, 'code')} disabled={!code} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            {copied === 'code' ? '✓ Code Copied' : 'Copy Code'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Paste Code Dialog Component
+const PasteCodeDialog = ({ onImport, onCancel, settings }) => {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsReading(true);
+    setError(null);
+    try {
+      onImport(await readShareCode(code));
+    } catch (err) {
+      setError(err.message);
+      setIsReading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={submit} className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-lg w-full`}>
+        <h3 className="text-2xl font-bold mb-2">Paste a Story Code</h3>
+        <p className="mb-4 text-sm opacity-75">Paste a code or link a friend shared with you.</p>
+        <textarea
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="S1...."
+          className={`${inputBg} w-full h-28 px-3 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none font-mono text-xs break-all`}
+          autoFocus
+        />
+        {error && <p className="text-sm text-red-600 mt-2">⚠️ {error}</p>}
+        <div className="flex gap-4 mt-6 justify-end">
+          <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button type="submit" disabled={!code.trim() || isReading} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            {isReading ? 'Reading...' : 'Import'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Text Import Dialog Component
+const TextImportDialog = ({ onCreate, onCancel, settings }) => {
+  const [text, setText] = useState('');
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const { title, pages } = parseStoryText(text);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-2xl w-full`}>
+        <h3 className="text-2xl font-bold mb-2">
+          <FileText className="w-6 h-6 inline mr-2" />
+          Story from Text
+        </h3>
+        <p className="mb-4 text-sm opacity-75">
+          Paste your story. Each heading, each <code>---</code> line or each blank line starts a new page.
+        </p>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={'Once upon a time...\n\nThe next morning...'}
+          className={`${inputBg} w-full h-64 px-4 py-3 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+          autoFocus
+        />
+        <p className="text-sm mt-2">
+          {pages.length === 0
+            ? 'No pages yet.'
+            : `${title ? `"${title}": ` : ''}${pages.length} ${pages.length === 1 ? 'page' : 'pages'}, ${countWords(pages)} words`}
+        </p>
+        <div className="flex gap-4 mt-6 justify-end">
+          <button onClick={onCancel} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button onClick={() => onCreate(text)} disabled={pages.length === 0} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            Create Story
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Wizard Mode Component
+const WizardMode = ({ story, updateStory, setView, settings }) => {
+  const [step, setStep] = useState(0);
+  const [currentPage, setCurrentPage] = useState(() => createPage());
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const steps = [
+    { title: 'Write Your Text', icon: <Edit2 className="w-8 h-8" /> },
+    { title: 'Choose Emotion', icon: <Sparkles className="w-8 h-8" /> },
+    { title: 'Pick Background', icon: <Palette className="w-8 h-8" /> },
+    { title: 'Add Stickers', icon: <Star className="w-8 h-8" /> }
+  ];
+
+  const emotions = ['😊', '😢', '😮', '😡', '😍', '😴', '🤔', '😱', '😆', '😇'];
+  const backgrounds = [
+    { name: 'Default', value: 'default', class: 'bg-white' },
+    { name: 'Sky', value: 'sky', class: 'bg-gradient-to-b from-blue-300 to-blue-100' },
+    { name: 'Forest', value: 'forest', class: 'bg-gradient-to-b from-green-400 to-green-200' },
+    { name: 'Space', value: 'space', class: 'bg-gradient-to-b from-purple-900 to-black' }
+  ];
+  const stickers = ['⭐', '❤️', '🌈', '🦄', '🐱', '🐶', '🌸', '🎈'];
+
+  const savePage = () => {
+    const updatedPages = [...story.pages, currentPage];
+    updateStory({ ...story, pages: updatedPages });
+    setCurrentPage(createPage());
+    setStep(0);
+    alert('Page added! Create another or go back to editor.');
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className={`${cardBg} p-6 rounded-xl shadow-lg mb-6`}>
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold">🪄 Step-by-Step Story Creator</h2>
+          <button
+            onClick={() => setView('editor')}
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}
+          >
+            Exit Wizard
+          </button>
+        </div>
+
+        <div className="flex justify-between mb-8">
+          {steps.map((s, i) => (
+            <div key={i} className={`flex flex-col items-center ${i === step ? 'text-[#FFB347]' : 'opacity-50'}`}>
+              {s.icon}
+              <p className="text-sm mt-2">{s.title}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="min-h-[300px]">
+          {step === 0 && (
+            <div>
+              <label className="block font-bold mb-2 text-lg">What happens on this page?</label>
               <textarea
                 value={currentPage.text}
                 onChange={(e) => setCurrentPage({ ...currentPage, text: e.target.value })}
@@ -666,7 +1638,7 @@ const WizardMode = ({ story, updateStory, setView, settings }) => {
                 {stickers.map(sticker => (
                   <button
                     key={sticker}
-                    onClick={() => setCurrentPage({ ...currentPage, stickers: [...currentPage.stickers, sticker] })}
+                    onClick={() => setCurrentPage({ ...currentPage, stickers: [...currentPage.stickers, createSticker(sticker, currentPage.stickers.length)] })}
                     className="text-5xl p-4 hover:scale-125 transition-all bg-gray-200 rounded-lg"
                   >
                     {sticker}
@@ -676,7 +1648,7 @@ const WizardMode = ({ story, updateStory, setView, settings }) => {
               {currentPage.stickers.length > 0 && (
                 <div className="flex gap-2 flex-wrap">
                   <p className="font-bold">Selected:</p>
-                  {currentPage.stickers.map((s, i) => <span key={i} className="text-3xl">{s}</span>)}
+                  {currentPage.stickers.map(s => <span key={s.id} className="text-3xl">{s.emoji}</span>)}
                 </div>
               )}
             </div>
@@ -717,10 +1689,21 @@ const WizardMode = ({ story, updateStory, setView, settings }) => {
 };
 
 // Story Editor Component
-const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, setRewardType }) => {
-  const [pages, setPages] = useState(story.pages || []);
-  const [editingPage, setEditingPage] = useState(null);
+const StoryEditor = ({ story, updateStory, addStory, setView, settings, setShowRewards, setRewardType, trashPage, untrashPages, authorName }) => {
+  const { state: pages, set: setPages, replace: replacePages, undo: undoPages, redo: redoPages, canUndo, canRedo } = useUndoHistory(story.pages || []);
+  const adoptedPages = useRef(null);
+  const previousPages = useRef(pages);
+  const historyStep = useRef(null);
+  const [editingPageId, setEditingPageId] = useState(null);
   const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dragPages, setDragPages] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showBookExport, setShowBookExport] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showColoringBook, setShowColoringBook] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [historyError, setHistoryError] = useState(null);
+  const sessionStart = useRef({ story, schedule: settings.autoSnapshots, snapshotTaken: false });
   const [showDrawing, setShowDrawing] = useState(false);
 
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
@@ -734,10 +1717,138 @@ const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, se
     "There was a brave hero who..."
   ]);
 
+  const editingPage = pages.find(p => p.id === editingPageId) || null;
+  const displayedPages = dragPages || pages;
+
+  // An undone page delete takes the page back out of the trash and a redone
+  // one puts it back in, once the change lands in the pages effect below
+  const undo = useCallback(() => {
+    if (!canUndo) return;
+    historyStep.current = 'undo';
+    undoPages();
+  }, [canUndo, undoPages]);
+
+  const redo = useCallback(() => {
+    if (!canRedo) return;
+    historyStep.current = 'redo';
+    redoPages();
+  }, [canRedo, redoPages]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); the title input keeps its own native undo
+  // and the drawing tool has its own stroke undo
   useEffect(() => {
-    const wordCount = pages.reduce((total, page) => {
-      return total + (page.text?.split(' ').filter(w => w.length > 0).length || 0);
-    }, 0);
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT' || showDrawing) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      } else if (key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, showDrawing]);
+
+  const refreshRevisions = useCallback(() => {
+    return listRevisions(story.id)
+      .then(setRevisions)
+      .catch(error => console.error('Failed to load story history:', error));
+  }, [story.id]);
+
+  // Snapshot the story as it was when this editing session started
+  useEffect(() => {
+    const start = sessionStart.current;
+    if (start.snapshotTaken || start.schedule === 'off') {
+      refreshRevisions();
+      return;
+    }
+    start.snapshotTaken = true;
+    saveAutoRevision(start.story, start.schedule)
+      .catch(error => console.error('Failed to save automatic snapshot:', error))
+      .finally(refreshRevisions);
+  }, [refreshRevisions]);
+
+  // Returns whether the snapshot was saved
+  const saveSnapshot = async (name) => {
+    setHistoryError(null);
+    try {
+      await saveRevision(story, { name, kind: 'manual' });
+    } catch (error) {
+      console.error('Failed to save snapshot:', error);
+      setHistoryError("We couldn't save this version. Please try again.");
+      return false;
+    }
+    await refreshRevisions();
+    return true;
+  };
+
+  // The story is only replaced once the current version is safely kept
+  const restoreRevision = async (revision) => {
+    setHistoryError(null);
+    const { story: restored } = validateStory(revision.story);
+    try {
+      await saveRevision(story, { name: 'Before restoring an older version', kind: 'auto' });
+    } catch (error) {
+      console.error('Failed to save snapshot before restoring:', error);
+      setHistoryError("We couldn't keep a copy of your story as it is now, so nothing was restored.");
+      return;
+    }
+    setPages(restored.pages);
+    setEditingPageId(null);
+    updateStory({ ...story, title: restored.title });
+    await refreshRevisions();
+    setShowHistory(false);
+  };
+
+  const restoreRevisionAsCopy = (revision) => {
+    const { story: restored } = validateStory(revision.story);
+    const { id: _id, ...fields } = restored;
+    addStory(createStory({
+      ...fields,
+      title: `${restored.title} (restored copy)`,
+      profileId: story.profileId,
+      createdAt: new Date().toISOString()
+    }));
+    alert('A copy of this version was added to your story library!');
+  };
+
+  const removeRevision = async (revision) => {
+    setHistoryError(null);
+    try {
+      await deleteRevision(revision.id);
+    } catch (error) {
+      console.error('Failed to delete snapshot:', error);
+      setHistoryError("We couldn't delete that version. Please try again.");
+      return;
+    }
+    await refreshRevisions();
+  };
+
+  useEffect(() => {
+    const previous = previousPages.current;
+    previousPages.current = pages;
+    const step = historyStep.current;
+    historyStep.current = null;
+    if (step === 'undo') {
+      const returned = pages.filter(page => !previous.some(p => p.id === page.id)).map(page => page.id);
+      if (returned.length > 0) untrashPages(story.id, returned);
+    } else if (step === 'redo') {
+      previous.forEach((page, position) => {
+        if (!pages.some(p => p.id === page.id)) trashPage(story, page, position);
+      });
+    }
+
+    // Pages taken in from outside were already saved with their word count
+    // and badges; saving them again would echo them back to the other tab
+    if (pages === adoptedPages.current) {
+      adoptedPages.current = null;
+      return;
+    }
+    const wordCount = countWords(pages);
     
     const badges = [];
     if (pages.length >= 1) badges.push('First Page');
@@ -764,84 +1875,79 @@ const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, se
     }
   }, [pages]);
 
+  // Take in page changes made outside the editor (another tab, the trash, a merge)
+  const lastSeenStoryPages = useRef(story.pages);
+  useEffect(() => {
+    if (story.pages !== lastSeenStoryPages.current && story.pages !== pages) {
+      adoptedPages.current = story.pages;
+      replacePages(story.pages);
+    }
+    lastSeenStoryPages.current = story.pages;
+  }, [story.pages, pages, replacePages]);
+
   const addPage = () => {
-    const newPage = {
-      id: Date.now(),
-      text: '',
-      image: null,
-      audio: null,
-      background: 'default',
-      stickers: [],
-      emotion: null,
-      drawing: null
-    };
-    setPages([...pages, newPage]);
-    setEditingPage(newPage);
+    const newPage = createPage();
+    setPages(prev => [...prev, newPage]);
+    setEditingPageId(newPage.id);
   };
 
-  const updatePage = (pageId, updates) => {
-    setPages(pages.map(p => p.id === pageId ? { ...p, ...updates } : p));
+  // group merges rapid edits of the same kind into one undo step
+  const updatePage = (pageId, updates, group = null) => {
+    setPages(prev => prev.map(p => p.id === pageId ? { ...p, ...updates } : p), group);
   };
 
   const deletePage = (pageId) => {
-    setPages(pages.filter(p => p.id !== pageId));
-    if (editingPage?.id === pageId) setEditingPage(null);
+    const position = pages.findIndex(p => p.id === pageId);
+    if (position === -1) return;
+    trashPage(story, pages[position], position);
+    setPages(prev => prev.filter(p => p.id !== pageId));
+    if (editingPageId === pageId) setEditingPageId(null);
   };
 
+  // While dragging, the new order is previewed in dragPages and only
+  // committed to the history once the drag ends
   const handleDragStart = (index) => {
     setDraggedIndex(index);
+    setDragPages(pages);
   };
 
   const handleDragOver = (e, index) => {
     e.preventDefault();
-    if (draggedIndex === null || draggedIndex === index) return;
+    if (draggedIndex === null || draggedIndex === index || !dragPages) return;
     
-    const newPages = [...pages];
+    const newPages = [...dragPages];
     const draggedPage = newPages[draggedIndex];
     newPages.splice(draggedIndex, 1);
     newPages.splice(index, 0, draggedPage);
     
-    setPages(newPages);
+    setDragPages(newPages);
     setDraggedIndex(index);
   };
 
   const handleDragEnd = () => {
+    if (dragPages && dragPages.some((page, i) => page !== pages[i])) {
+      setPages(dragPages);
+    }
+    setDragPages(null);
     setDraggedIndex(null);
   };
 
-  const exportToJSON = () => {
-    const dataStr = JSON.stringify(story, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+  const downloadFile = (content, extension, type) => {
+    const dataBlob = new Blob([content], { type });
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `${story.title}.json`;
+    link.download = `${story.title}.${extension}`;
     link.click();
+    setShowExportMenu(false);
   };
 
-  const printColoringPage = () => {
-    const printWindow = window.open('', '_blank');
-    const stickers = pages.flatMap(p => p.stickers || []).join(' ');
-    printWindow.document.write(`
-      <html>
-        <head>
-          <title>Coloring Page - ${story.title}</title>
-          <style>
-            body { font-family: Arial; text-align: center; padding: 40px; }
-            .stickers { font-size: 100px; margin: 40px; }
-            h1 { font-size: 36px; margin-bottom: 20px; }
-          </style>
-        </head>
-        <body>
-          <h1>${story.title}</h1>
-          <div class="stickers">${stickers}</div>
-          <p>Color this page!</p>
-        </body>
-      </html>
-    `);
-    printWindow.document.close();
-    printWindow.print();
-  };
+  const exportToJSON = () => downloadFile(JSON.stringify(story, null, 2), 'json', 'application/json');
+  const exportToMarkdown = () => downloadFile(storyToMarkdown({ ...story, pages }), 'md', 'text/markdown');
+  const exportToText = () => downloadFile(storyToPlainText({ ...story, pages }), 'txt', 'text/plain');
+
+  // The story as shown in the editor, for the book and coloring exports
+  const storyWithPages = useMemo(() => ({ ...story, pages }), [story, pages]);
 
   return (
     <div className="space-y-6">
@@ -874,25 +1980,74 @@ const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, se
             <Plus className="w-5 h-5 inline mr-1" />
             Add Page
           </button>
-          <button onClick={exportToJSON} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
-            <Download className="w-5 h-5 inline mr-1" />
-            Export
-          </button>
-          <button onClick={printColoringPage} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
-            <Printer className="w-5 h-5 inline mr-1" />
-            Coloring Page
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-5 h-5 inline mr-1" />
+            Undo
           </button>
-          <button 
-            onClick={() => setView('wizard')} 
-            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
+            title="Redo (Ctrl+Shift+Z)"
           >
-            <Lightbulb className="w-5 h-5 inline mr-1" />
-            Wizard Mode
+            <Redo2 className="w-5 h-5 inline mr-1" />
+            Redo
           </button>
-        </div>
-      </div>
-
-      {storyPrompts.length > 0 && pages.length === 0 && (
+          <button onClick={() => setShowHistory(true)} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
+            <History className="w-5 h-5 inline mr-1" />
+            History
+          </button>
+          <div className="relative">
+            <button onClick={() => setShowExportMenu(!showExportMenu)} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
+              <Download className="w-5 h-5 inline mr-1" />
+              Export
+            </button>
+            {showExportMenu && (
+              <div className={`${cardBg} absolute left-0 mt-2 w-56 rounded-lg shadow-xl z-20 overflow-hidden`}>
+                <button onClick={exportToJSON} className="block w-full text-left px-4 py-2 hover:bg-[#8ED1FC]">
+                  Story file (.json)
+                </button>
+                <button onClick={exportToMarkdown} className="block w-full text-left px-4 py-2 hover:bg-[#8ED1FC]">
+                  Markdown (.md)
+                </button>
+                <button onClick={exportToText} className="block w-full text-left px-4 py-2 hover:bg-[#8ED1FC]">
+                  Plain text (.txt)
+                </button>
+              </div>
+            )}
+          </div>
+          <button
+            onClick={() => setShowBookExport(true)}
+            disabled={pages.length === 0}
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            <BookOpen className="w-5 h-5 inline mr-1" />
+            Download as Book
+          </button>
+          <button
+            onClick={() => setShowColoringBook(true)}
+            disabled={pages.length === 0}
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            <Printer className="w-5 h-5 inline mr-1" />
+            Coloring Book
+          </button>
+          <button 
+            onClick={() => setView('wizard')} 
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}
+          >
+            <Lightbulb className="w-5 h-5 inline mr-1" />
+            Wizard Mode
+          </button>
+        </div>
+      </div>
+
+      {storyPrompts.length > 0 && pages.length === 0 && (
         <div className={`${cardBg} p-6 rounded-xl shadow-lg`}>
           <h3 className="text-xl font-bold mb-3">Story Starters 🌟</h3>
           <div className="flex flex-wrap gap-2">
@@ -900,17 +2055,9 @@ const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, se
               <button
                 key={i}
                 onClick={() => {
-                  const newPage = {
-                    id: Date.now(),
-                    text: prompt,
-                    image: null,
-                    audio: null,
-                    background: 'default',
-                    stickers: [],
-                    emotion: null
-                  };
+                  const newPage = createPage({ text: prompt });
                   setPages([newPage]);
-                  setEditingPage(newPage);
+                  setEditingPageId(newPage.id);
                 }}
                 className={`${buttonBg} px-4 py-2 rounded-lg text-sm transition-all`}
               >
@@ -929,12 +2076,12 @@ const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, se
               <p className="text-lg">Click "Add Page" to start your story!</p>
             </div>
           ) : (
-            pages.map((page, index) => (
+            displayedPages.map((page, index) => (
               <PageCard
                 key={page.id}
                 page={page}
                 index={index}
-                onEdit={() => setEditingPage(page)}
+                onEdit={() => setEditingPageId(page.id)}
                 onDelete={() => deletePage(page.id)}
                 onDragStart={handleDragStart}
                 onDragOver={handleDragOver}
@@ -963,6 +2110,453 @@ const StoryEditor = ({ story, updateStory, setView, settings, setShowRewards, se
           )}
         </div>
       </div>
+
+      {showHistory && (
+        <RevisionHistoryPanel
+          revisions={revisions}
+          currentPages={pages}
+          onSave={saveSnapshot}
+          onRestore={restoreRevision}
+          onRestoreCopy={restoreRevisionAsCopy}
+          onDelete={removeRevision}
+          error={historyError}
+          onClose={() => { setShowHistory(false); setHistoryError(null); }}
+          settings={settings}
+        />
+      )}
+
+      {showColoringBook && (
+        <ColoringBookDialog
+          story={storyWithPages}
+          onClose={() => setShowColoringBook(false)}
+          settings={settings}
+        />
+      )}
+
+      {showBookExport && (
+        <BookExportDialog
+          story={storyWithPages}
+          authorName={authorName}
+          onClose={() => setShowBookExport(false)}
+          settings={settings}
+        />
+      )}
+    </div>
+  );
+};
+
+// Revision History Panel Component
+const RevisionHistoryPanel = ({ revisions, currentPages, onSave, onRestore, onRestoreCopy, onDelete, error, onClose, settings }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [snapshotName, setSnapshotName] = useState('');
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const itemBg = settings.theme === 'dark' ? 'bg-gray-700' : 'bg-white';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const selected = revisions.find(r => r.id === selectedId);
+  const diff = selected ? diffStoryPages(selected.story.pages || [], currentPages) : [];
+
+  const statusStyles = {
+    added: 'bg-green-100 text-green-800',
+    removed: 'bg-red-100 text-red-800',
+    changed: 'bg-yellow-100 text-yellow-800',
+    moved: 'bg-blue-100 text-blue-800',
+    unchanged: 'bg-gray-100 text-gray-600'
+  };
+
+  const statusLabels = {
+    added: 'Added since',
+    removed: 'Deleted since',
+    changed: 'Changed',
+    moved: 'Moved',
+    unchanged: 'Same'
+  };
+
+  const getLabel = (revision) => revision.name || (revision.kind === 'auto' ? 'Automatic snapshot' : 'Snapshot');
+
+  const handleSave = async () => {
+    if (await onSave(snapshotName.trim())) setSnapshotName('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-5xl w-full max-h-[90vh] overflow-y-auto`}>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-2xl font-bold">🕰️ Story History</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
+        </div>
+
+        <div className="flex gap-2 mb-6">
+          <input
+            type="text"
+            value={snapshotName}
+            onChange={(e) => setSnapshotName(e.target.value)}
+            placeholder="Name this version (optional)"
+            className={`${inputBg} flex-1 px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+          />
+          <button onClick={handleSave} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
+            <Save className="w-5 h-5 inline mr-1" />
+            Save Snapshot
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-600 -mt-4 mb-4">⚠️ {error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            {revisions.length === 0 && (
+              <p className="text-center opacity-75 py-8">No saved versions yet.</p>
+            )}
+            {revisions.map(revision => (
+              <button
+                key={revision.id}
+                onClick={() => setSelectedId(revision.id)}
+                className={`${selectedId === revision.id ? 'bg-[#8ED1FC] text-[#333333]' : itemBg} w-full p-4 rounded-lg shadow text-left transition-all`}
+              >
+                <p className="font-bold">{getLabel(revision)}</p>
+                <p className="text-sm opacity-75">
+                  📅 {new Date(revision.createdAt).toLocaleString()} · 📄 {revision.story.pages?.length || 0} pages
+                </p>
+              </button>
+            ))}
+          </div>
+
+          <div>
+            {selected ? (
+              <div className="space-y-4">
+                <div>
+                  <h4 className="text-xl font-bold">"{selected.story.title}"</h4>
+                  <p className="text-sm opacity-75">Comparing this version with your story now</p>
+                </div>
+
+                <div className="flex gap-2 flex-wrap">
+                  <button onClick={() => onRestore(selected)} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
+                    Restore This Version
+                  </button>
+                  <button onClick={() => onRestoreCopy(selected)} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
+                    Restore as a Copy
+                  </button>
+                  <button
+                    onClick={() => {
+                      onDelete(selected);
+                      setSelectedId(null);
+                    }}
+                    className="text-red-500 hover:text-red-700 px-2"
+                    title="Delete this version"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+
+                <div className="space-y-2">
+                  {diff.map((row, i) => (
+                    <div key={i} className={`${itemBg} p-3 rounded-lg shadow`}>
+                      <div className="flex justify-between items-center mb-1">
+                        <span className="font-semibold">
+                          Page {row.afterIndex !== null ? row.afterIndex + 1 : row.beforeIndex + 1}
+                          {row.status === 'moved' && ` (was page ${row.beforeIndex + 1})`}
+                        </span>
+                        <span className={`${statusStyles[row.status]} px-2 py-1 rounded text-xs font-semibold`}>
+                          {statusLabels[row.status]}
+                          {row.fields.length > 0 && `: ${row.fields.join(', ')}`}
+                        </span>
+                      </div>
+                      {row.status === 'changed' && row.fields.includes('text') ? (
+                        <div className="text-sm space-y-1">
+                          <p className="bg-red-50 text-red-800 line-through px-2 rounded">{row.before.text || 'Empty page'}</p>
+                          <p className="bg-green-50 text-green-800 px-2 rounded">{row.after.text || 'Empty page'}</p>
+                        </div>
+                      ) : (
+                        <p className="text-sm line-clamp-2 opacity-75">{(row.after || row.before).text || 'Empty page'}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className={`${itemBg} p-8 rounded-lg text-center`}>
+                <History className="w-12 h-12 mx-auto mb-2 opacity-50" />
+                <p>Pick a version to see what changed</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Book Export Dialog Component
+const BOOK_FORMATS = [
+  { value: 'pdf', name: 'PDF picture book', description: 'For printing or reading on any computer' },
+  { value: 'epub', name: 'EPUB e-book', description: 'For e-readers and tablets, with read-along when pages have narration' },
+  { value: 'html', name: 'Web page flipbook', description: 'One file anyone can open in a browser, with Read Aloud' }
+];
+
+const BookExportDialog = ({ story, authorName, onClose, settings }) => {
+  const [format, setFormat] = useState('pdf');
+  const [size, setSize] = useState('a4');
+  const [orientation, setOrientation] = useState('portrait');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  // The dialog stays open after the download when there is something to warn about
+  const download = async () => {
+    setError(null);
+    setWarning(null);
+    setProgress({ done: 0, total: story.pages.length + 1 });
+    let exportWarning = null;
+    try {
+      const blob = format === 'html'
+        ? createStoryFlipbook(story, { authorName })
+        : format === 'epub'
+        ? await createStoryEpub(story, { authorName, onWarning: (message) => { exportWarning = message; } })
+        : await createStoryPdf(story, {
+          size,
+          orientation,
+          authorName,
+          onProgress: (done, total) => setProgress({ done, total })
+        });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${story.title}.${format}`;
+      link.click();
+      if (exportWarning) {
+        setWarning(exportWarning);
+        setProgress(null);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      console.error(`Failed to create ${format.toUpperCase()}:`, err);
+      setError(err.message);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-md w-full`}>
+        <h3 className="text-2xl font-bold mb-4">
+          <BookOpen className="w-6 h-6 inline mr-2" />
+          Download as Book
+        </h3>
+
+        <div className="space-y-4 mb-6">
+          <div className="space-y-2">
+            {BOOK_FORMATS.map(option => (
+              <label key={option.value} className="flex items-start gap-3 cursor-pointer">
+                <input type="radio" className="mt-1" checked={format === option.value} onChange={() => setFormat(option.value)} />
+                <span>
+                  <span className="font-semibold block">{option.name}</span>
+                  <span className="text-sm opacity-75">{option.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {format === 'pdf' && (
+            <div>
+              <label className="block font-semibold mb-2">Page Size</label>
+              <select
+                value={size}
+                onChange={(e) => setSize(e.target.value)}
+                className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+              >
+                {Object.entries(PDF_PAGE_SIZES).map(([value, { name }]) => (
+                  <option key={value} value={value}>{name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {format === 'pdf' && size !== 'square' && (
+            <div>
+              <label className="block font-semibold mb-2">Orientation</label>
+              <select
+                value={orientation}
+                onChange={(e) => setOrientation(e.target.value)}
+                className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+              >
+                <option value="portrait">Portrait (tall)</option>
+                <option value="landscape">Landscape (wide)</option>
+              </select>
+            </div>
+          )}
+
+          <p className="text-sm opacity-75">
+            The book has a cover{authorName ? ` with "${authorName}" as the author` : ''} and {story.pages.length} {story.pages.length === 1 ? 'page' : 'pages'}.
+          </p>
+        </div>
+
+        {progress && (
+          <div className="mb-4">
+            <p className="text-sm mb-1">
+              {format === 'pdf' ? `Making page ${progress.done} of ${progress.total}...` : 'Packing your book...'}
+            </p>
+            <div className="w-full bg-gray-300 rounded-full h-3">
+              <div className="bg-[#8ED1FC] h-3 rounded-full transition-all" style={{ width: `${progress.done / progress.total * 100}%` }} />
+            </div>
+          </div>
+        )}
+        {error && <p className="text-sm text-red-600 mb-4">⚠️ {error}</p>}
+        {warning && <p className="text-sm text-yellow-700 mb-4">✅ Your book was downloaded. ⚠️ {warning}</p>}
+
+        <div className="flex gap-4 justify-end">
+          <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            {warning ? 'Close' : 'Cancel'}
+          </button>
+          <button onClick={download} disabled={!!progress} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            <Download className="w-5 h-5 inline mr-1" />
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Coloring Book Dialog Component
+const ColoringBookDialog = ({ story, onClose, settings }) => {
+  const [size, setSize] = useState('letter');
+  const [threshold, setThreshold] = useState(DEFAULT_LINE_THRESHOLD);
+  const [book, setBook] = useState(null);
+  const [previews, setPreviews] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  // Re-trace shortly after the options stop changing
+  useEffect(() => {
+    let cancelled = false;
+    setIsWorking(true);
+    const timer = setTimeout(() => {
+      createColoringBook(story, { size, threshold })
+        .then(result => {
+          if (cancelled) return;
+          setBook(result);
+          setPreviews(result.sheets.map(sheet => sheet.toDataURL('image/jpeg', 0.8)));
+          setError(null);
+        })
+        .catch(err => {
+          if (!cancelled) setError(err.message);
+        })
+        .finally(() => {
+          if (!cancelled) setIsWorking(false);
+        });
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [story, size, threshold]);
+
+  const print = () => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Coloring Book - ${story.title.replace(/</g, '&lt;')}</title>
+          <style>
+            body { margin: 0; }
+            img { display: block; width: 100%; page-break-after: always; }
+          </style>
+        </head>
+        <body onload="window.print()">
+          ${previews.map(src => `<img src="${src}">`).join('')}
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+  };
+
+  const downloadPdf = async () => {
+    try {
+      const blob = await coloringBookToPdf(story, book);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${story.title} - Coloring Book.pdf`;
+      link.click();
+    } catch (err) {
+      console.error('Failed to create coloring book:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-4xl w-full max-h-[90vh] flex flex-col`}>
+        <div className="flex justify-between items-start mb-4">
+          <h3 className="text-2xl font-bold">
+            <Palette className="w-6 h-6 inline mr-2" />
+            Coloring Book
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+        </div>
+
+        <div className="flex gap-6 flex-wrap items-end mb-4">
+          <div>
+            <label className="block font-semibold mb-2">Paper</label>
+            <select
+              value={size}
+              onChange={(e) => setSize(e.target.value)}
+              className={`${inputBg} px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+            >
+              <option value="letter">Letter</option>
+              <option value="a4">A4</option>
+            </select>
+          </div>
+          <div className="flex-1 min-w-[200px]">
+            <label className="block font-semibold mb-2">Lines: fewer ↔ more</label>
+            {/* A lower edge threshold keeps fainter edges, so the slider runs backwards */}
+            <input
+              type="range"
+              min="20"
+              max="240"
+              step="10"
+              value={260 - threshold}
+              onChange={(e) => setThreshold(260 - Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {isWorking && previews.length === 0 && <p className="text-center py-12">Tracing your pictures...</p>}
+          <div className={`grid grid-cols-2 md:grid-cols-4 gap-4 ${isWorking ? 'opacity-50' : ''}`}>
+            {previews.map((src, i) => (
+              <img key={i} src={src} alt={i === 0 ? 'Title page' : `Coloring page ${i}`} className="w-full rounded shadow bg-white" />
+            ))}
+          </div>
+          {!isWorking && previews.length === 1 && (
+            <p className="text-center py-6">Add drawings or stickers to your pages to get pictures to color.</p>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-600 mt-4">⚠️ {error}</p>}
+
+        <div className="flex gap-4 mt-6 justify-end">
+          <button onClick={print} disabled={isWorking || !book} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            <Printer className="w-5 h-5 inline mr-1" />
+            Print
+          </button>
+          <button onClick={downloadPdf} disabled={isWorking || !book} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            <Download className="w-5 h-5 inline mr-1" />
+            Download PDF
+          </button>
+        </div>
+      </div>
     </div>
   );
 };
@@ -997,6 +2591,13 @@ const PageCard = ({ page, index, onEdit, onDelete, onDragStart, onDragOver, onDr
           </div>
           
           <p className="text-sm line-clamp-2">{page.text || 'Empty page'}</p>
+
+          {(page.image || page.drawing) && (
+            <div className="flex gap-2 mt-2">
+              {page.image && <img src={page.image} alt="Picture" className="h-12 w-12 object-cover rounded" />}
+              {page.drawing && <img src={page.drawing} alt="Drawing" className="h-12 w-12 object-contain bg-white rounded" />}
+            </div>
+          )}
           
           {page.emotion && (
             <div className="mt-2">
@@ -1009,146 +2610,867 @@ const PageCard = ({ page, index, onEdit, onDelete, onDragStart, onDragOver, onDr
   );
 };
 
-// Drawing Canvas Component
-const DrawingCanvas = ({ onSave, onClose, settings }) => {
-  const canvasRef = useRef(null);
-  const [isDrawing, setIsDrawing] = useState(false);
-  const [color, setColor] = useState('#000000');
-  const [brushSize, setBrushSize] = useState(3);
-  const [tool, setTool] = useState('pen');
+// Drawing Canvas Component
+// Strokes are drawn straight onto the canvas while the pointer moves and
+// committed to the stroke list when it lifts; undo and redo repaint from it.
+// Mouse, finger and stylus all come in as pointer events, one pointer at a time.
+// Touches are ignored for this long after a stylus was last seen, so the hand
+// resting on the screen while drawing with a pen leaves no marks
+const PALM_REJECTION_MS = 1500;
+
+const DRAWING_TOOLS = [
+  { id: 'pen', name: 'Pen', icon: <Pencil className="w-6 h-6" /> },
+  { id: 'eraser', name: 'Eraser', icon: <Eraser className="w-6 h-6" /> },
+  { id: 'line', name: 'Line', icon: <Minus className="w-6 h-6" /> },
+  { id: 'rectangle', name: 'Rectangle', icon: <Square className="w-6 h-6" /> },
+  { id: 'ellipse', name: 'Circle', icon: <Circle className="w-6 h-6" /> },
+  { id: 'fill', name: 'Paint Bucket', icon: <PaintBucket className="w-6 h-6" /> },
+  { id: 'stamp', name: 'Stamps', icon: <Stamp className="w-6 h-6" /> },
+  { id: 'text', name: 'Words', icon: <Type className="w-6 h-6" /> }
+];
+
+const DRAWING_STAMPS = ['⭐', '❤️', '🌈', '☀️', '🌙', '🌸', '🌳', '🏠', '🐱', '🐶', '🦄', '🦋', '🚗', '🎈', '👑', '✨'];
+
+// Fill, stamps and words are placed with a single tap
+const TAP_TOOLS = ['fill', 'stamp', 'text'];
+
+const DrawingCanvas = ({ initialDrawing, initialStrokes, onSave, onClose, settings }) => {
+  const canvasRef = useRef(null);
+  const backgroundRef = useRef(null);
+  const layersRef = useRef(null);
+  const renderedRef = useRef(null);
+  const drawnStrokeRef = useRef(null);
+  const strokeRef = useRef(null);
+  const pointerRef = useRef(null);
+  const lastPenRef = useRef(0);
+  const [drawing, setDrawing] = useState(() => initialStrokes || createDrawingData(initialDrawing));
+  const [redoStack, setRedoStack] = useState([]);
+  const [backgroundReady, setBackgroundReady] = useState(false);
+  const [color, setColor] = useState('#000000');
+  const [brushSize, setBrushSize] = useState(3);
+  const [tool, setTool] = useState('pen');
+  const [layer, setLayer] = useState('foreground');
+  const [stampEmoji, setStampEmoji] = useState(DRAWING_STAMPS[0]);
+  const [labelText, setLabelText] = useState('');
+
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  useEffect(() => {
+    let cancelled = false;
+    const background = drawing.background ? loadImage(drawing.background).catch(() => null) : Promise.resolve(null);
+    background.then(img => {
+      if (cancelled) return;
+      backgroundRef.current = img;
+      setBackgroundReady(true);
+    });
+    return () => { cancelled = true; };
+  }, [drawing.background]);
+
+  // A new stroke is added to the layers as they are (freehand strokes are
+  // already there, drawn while the pointer moved); anything else, like an
+  // undo, rebuilds them from the stroke list
+  useEffect(() => {
+    if (!backgroundReady) return;
+    const rendered = renderedRef.current;
+    const { strokes } = drawing;
+    const isNextStroke = !!rendered && strokes.length === rendered.length + 1 && rendered.every((stroke, i) => strokes[i] === stroke);
+    if (isNextStroke) {
+      const stroke = strokes[strokes.length - 1];
+      if (stroke !== drawnStrokeRef.current) applyStroke(layersRef.current, stroke);
+    } else if (rendered !== strokes) {
+      layersRef.current = renderLayers(drawing, backgroundRef.current);
+    }
+    renderedRef.current = strokes;
+    drawnStrokeRef.current = null;
+    composeLayers(canvasRef.current.getContext('2d'), layersRef.current);
+  }, [drawing, backgroundReady]);
+
+  const showLayers = () => composeLayers(canvasRef.current.getContext('2d'), layersRef.current);
+
+  // The canvas is stretched to fit the dialog, so screen positions are scaled
+  // back to canvas pixels. The border is not part of the picture.
+  const getPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left - canvas.clientLeft) * canvas.width / canvas.clientWidth;
+    const y = (e.clientY - rect.top - canvas.clientTop) * canvas.height / canvas.clientHeight;
+    return roundPoint(x, y, e.pointerType === 'pen' ? e.pressure : undefined);
+  };
+
+  const notePen = (e) => {
+    if (e.pointerType === 'pen') lastPenRef.current = Date.now();
+  };
+
+  const dropStroke = () => {
+    strokeRef.current = null;
+    pointerRef.current = null;
+    layersRef.current = renderLayers(drawing, backgroundRef.current);
+    showLayers();
+  };
+
+  const commitStroke = (stroke) => {
+    setDrawing(current => ({ ...current, strokes: [...current.strokes, stroke] }));
+    setRedoStack([]);
+  };
+
+  const createStroke = (point) => {
+    const [x, y] = point;
+    if (tool === 'fill') return { tool, layer, color, point: [x, y] };
+    if (tool === 'stamp') return { tool, layer, emoji: stampEmoji, size: brushSize, point: [x, y] };
+    if (tool === 'text') return { tool, layer, text: labelText.trim(), color, size: brushSize, point: [x, y] };
+    if (SHAPE_TOOLS.includes(tool)) return { tool, layer, color, size: brushSize, from: [x, y], to: [x, y] };
+    return { tool, layer, color, size: brushSize, points: [point] };
+  };
+
+  const startDrawing = (e) => {
+    notePen(e);
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.pointerType === 'touch' && Date.now() - lastPenRef.current < PALM_REJECTION_MS) return;
+    if (!layersRef.current) return;
+
+    if (pointerRef.current) {
+      // A pen touching down while a finger is drawing means the finger was a palm
+      if (e.pointerType === 'pen' && pointerRef.current.type === 'touch') dropStroke();
+      else return;
+    }
+
+    if (TAP_TOOLS.includes(tool)) {
+      if (tool === 'text' && !labelText.trim()) return;
+      commitStroke(createStroke(getPoint(e)));
+      return;
+    }
+
+    pointerRef.current = { id: e.pointerId, type: e.pointerType };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const stroke = createStroke(getPoint(e));
+    strokeRef.current = stroke;
+    if (FREEHAND_TOOLS.includes(tool)) {
+      applyStroke(layersRef.current, stroke);
+      drawnStrokeRef.current = stroke;
+      showLayers();
+    }
+  };
+
+  const draw = (e) => {
+    notePen(e);
+    const stroke = strokeRef.current;
+    if (!stroke || e.pointerId !== pointerRef.current?.id) return;
+
+    // Shapes are previewed on top of the layers until the pointer lifts
+    if (SHAPE_TOOLS.includes(stroke.tool)) {
+      const [x, y] = getPoint(e);
+      stroke.to = [x, y];
+      showLayers();
+      drawShape(canvasRef.current.getContext('2d'), stroke);
+      return;
+    }
+
+    // Fast pens and fingers report several positions per frame
+    const from = stroke.points.length;
+    const events = e.nativeEvent.getCoalescedEvents?.() || [];
+    (events.length > 0 ? events : [e.nativeEvent]).forEach(event => stroke.points.push(getPoint(event)));
+    applyStroke(layersRef.current, stroke, from);
+    showLayers();
+  };
+
+  const stopDrawing = (e) => {
+    const stroke = strokeRef.current;
+    if (!stroke || e.pointerId !== pointerRef.current?.id) return;
+    strokeRef.current = null;
+    pointerRef.current = null;
+    // A shape that never got any size is dropped
+    if (SHAPE_TOOLS.includes(stroke.tool) && stroke.from[0] === stroke.to[0] && stroke.from[1] === stroke.to[1]) {
+      showLayers();
+      return;
+    }
+    commitStroke(stroke);
+  };
+
+  // The browser took the pointer away (e.g. for a system gesture)
+  const cancelDrawing = (e) => {
+    if (e.pointerId === pointerRef.current?.id) dropStroke();
+  };
+
+  const undo = useCallback(() => {
+    if (drawing.strokes.length === 0) return;
+    setRedoStack(stack => [...stack, drawing.strokes[drawing.strokes.length - 1]]);
+    setDrawing(current => ({ ...current, strokes: current.strokes.slice(0, -1) }));
+  }, [drawing]);
+
+  const redo = useCallback(() => {
+    if (redoStack.length === 0) return;
+    setDrawing(current => ({ ...current, strokes: [...current.strokes, redoStack[redoStack.length - 1]] }));
+    setRedoStack(stack => stack.slice(0, -1));
+  }, [redoStack]);
+
+  // The story editor's own undo keys are paused while the drawing is open
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      } else if (key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Clearing is a step of its own, so it can be undone too
+  const clearCanvas = () => commitStroke({ tool: 'clear' });
+
+  // A drawing wiped clean is saved as no drawing at all
+  const saveDrawing = () => {
+    const saved = compactDrawing(drawing);
+    if (saved.strokes.length === 0 && !saved.background) onSave(null, null);
+    else onSave(canvasRef.current.toDataURL(), saved);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-4xl w-full">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-2xl font-bold">🎨 Draw on Your Page</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
+        </div>
+
+        <div className="flex gap-4 mb-4 flex-wrap">
+          <div className="flex gap-2 flex-wrap">
+            {DRAWING_TOOLS.map(({ id, name, icon }) => (
+              <button
+                key={id}
+                onClick={() => setTool(id)}
+                className={`p-2 rounded ${tool === id ? 'bg-[#8ED1FC]' : 'bg-gray-200'}`}
+                title={name}
+              >
+                {icon}
+              </button>
+            ))}
+          </div>
+
+          <input
+            type="color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            className="w-12 h-12 rounded"
+          />
+
+          <select
+            value={brushSize}
+            onChange={(e) => setBrushSize(Number(e.target.value))}
+            className="px-4 py-2 rounded border-2"
+          >
+            <option value={1}>Thin</option>
+            <option value={3}>Medium</option>
+            <option value={5}>Thick</option>
+            <option value={10}>Very Thick</option>
+          </select>
+
+          <div className="flex gap-2">
+            <button
+              onClick={undo}
+              disabled={drawing.strokes.length === 0}
+              className="p-2 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40"
+              title="Undo (Ctrl+Z)"
+            >
+              <Undo2 className="w-6 h-6" />
+            </button>
+            <button
+              onClick={redo}
+              disabled={redoStack.length === 0}
+              className="p-2 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              <Redo2 className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2" title="Which layer you draw on; the eraser only rubs out this layer">
+            <Layers className="w-6 h-6 opacity-60" />
+            {DRAWING_LAYERS.map(({ id, name }) => (
+              <button
+                key={id}
+                onClick={() => setLayer(id)}
+                className={`px-3 py-2 rounded text-sm font-semibold ${layer === id ? 'bg-[#8ED1FC]' : 'bg-gray-200'}`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+
+          <button onClick={clearCanvas} className={`${buttonBg} px-4 py-2 rounded-lg`}>
+            Clear
+          </button>
+        </div>
+
+        {tool === 'stamp' && (
+          <div className="flex gap-1 flex-wrap mb-4">
+            {DRAWING_STAMPS.map(emoji => (
+              <button
+                key={emoji}
+                onClick={() => setStampEmoji(emoji)}
+                className={`text-2xl p-1 rounded ${stampEmoji === emoji ? 'bg-[#8ED1FC]' : 'hover:bg-gray-100'}`}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {tool === 'text' && (
+          <input
+            type="text"
+            value={labelText}
+            onChange={(e) => setLabelText(e.target.value)}
+            placeholder="Type your words, then tap the picture to put them there"
+            className="w-full mb-4 px-4 py-2 rounded border-2 border-[#8ED1FC] focus:outline-none"
+          />
+        )}
+
+        <canvas
+          ref={canvasRef}
+          width={drawing.width}
+          height={drawing.height}
+          onPointerDown={startDrawing}
+          onPointerMove={draw}
+          onPointerUp={stopDrawing}
+          onPointerCancel={cancelDrawing}
+          className="border-2 border-gray-300 rounded-lg w-full cursor-crosshair touch-none"
+        />
+
+        <div className="flex gap-4 mt-4 justify-end">
+          <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400">
+            Cancel
+          </button>
+          <button onClick={saveDrawing} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold`}>
+            Save Drawing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Picture Dialog Component
+// Picks a photo from a file, a drop or the camera, then crops and rotates it
+const PictureDialog = ({ initialFile, onSave, onClose, settings }) => {
+  const [source, setSource] = useState(null);
+  const [edit, setEdit] = useState(DEFAULT_PICTURE_EDIT);
+  const [cameraOn, setCameraOn] = useState(false);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const previewRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+  const hasCamera = !!navigator.mediaDevices?.getUserMedia;
+
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setCameraOn(false);
+  };
+
+  const openFile = async (file) => {
+    setError(null);
+    try {
+      setSource(await readPictureFile(file));
+      setEdit(DEFAULT_PICTURE_EDIT);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startCamera = async () => {
+    setError(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      setCameraOn(true);
+    } catch {
+      setError('The camera is blocked or missing. Ask a grown-up to allow it in the browser settings.');
+    }
+  };
+
+  const takePhoto = () => {
+    setSource(captureVideoFrame(videoRef.current));
+    setEdit(DEFAULT_PICTURE_EDIT);
+    stopCamera();
+  };
+
+  useEffect(() => {
+    if (initialFile) openFile(initialFile);
+    return () => streamRef.current?.getTracks().forEach(track => track.stop());
+  }, [initialFile]);
+
+  useEffect(() => {
+    if (cameraOn && videoRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+      videoRef.current.play().catch(() => {});
+    }
+  }, [cameraOn]);
+
+  // Redraw the cropped picture whenever it is moved, zoomed or turned
+  useEffect(() => {
+    if (!source || !previewRef.current) return;
+    const picture = renderPicture(source, edit, 640);
+    const canvas = previewRef.current;
+    canvas.width = picture.width;
+    canvas.height = picture.height;
+    canvas.getContext('2d').drawImage(picture, 0, 0);
+  }, [source, edit]);
+
+  // Dragging the picture moves it around inside the crop
+  const handlePointerDown = (e) => {
+    const box = getCropBox(source, edit);
+    dragRef.current = {
+      x: e.clientX,
+      y: e.clientY,
+      centerX: (box.x + box.width / 2) / box.rotatedWidth,
+      centerY: (box.y + box.height / 2) / box.rotatedHeight,
+      box,
+      displayWidth: e.currentTarget.getBoundingClientRect().width
+    };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const pixelsPerPoint = drag.box.width / drag.displayWidth;
+    setEdit(current => ({
+      ...current,
+      centerX: drag.centerX - (e.clientX - drag.x) * pixelsPerPoint / drag.box.rotatedWidth,
+      centerY: drag.centerY - (e.clientY - drag.y) * pixelsPerPoint / drag.box.rotatedHeight
+    }));
+  };
+
+  const rotate = (degrees) => {
+    setEdit(current => ({ ...current, rotation: (current.rotation + degrees + 360) % 360, centerX: 0.5, centerY: 0.5 }));
+  };
+
+  const save = () => {
+    onSave(pictureToDataUrl(renderPicture(source, edit)));
+    onClose();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    const file = [...e.dataTransfer.files].find(isPictureFile);
+    if (file) openFile(file);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto`}>
+        <h3 className="text-2xl font-bold mb-4">
+          <Camera className="w-6 h-6 inline mr-2" />
+          Add a Picture
+        </h3>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={(e) => { if (e.target.files[0]) openFile(e.target.files[0]); e.target.value = ''; }}
+          className="hidden"
+        />
+
+        {cameraOn ? (
+          <div className="space-y-4 text-center">
+            <video ref={videoRef} playsInline muted className="w-full max-h-[50vh] rounded-lg bg-black" />
+            <div className="flex gap-4 justify-center">
+              <button onClick={stopCamera} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+                Back
+              </button>
+              <button onClick={takePhoto} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold transition-all`}>
+                <Camera className="w-5 h-5 inline mr-2" />
+                Take Photo
+              </button>
+            </div>
+          </div>
+        ) : source ? (
+          <div className="space-y-4">
+            <canvas
+              ref={previewRef}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={() => { dragRef.current = null; }}
+              onPointerCancel={() => { dragRef.current = null; }}
+              className="max-w-full max-h-[45vh] mx-auto rounded-lg border-2 border-[#8ED1FC] cursor-move touch-none"
+            />
+            <p className="text-sm text-center opacity-75">Drag the picture to move it. Zoom in to cut off the edges.</p>
+
+            <div className="flex flex-wrap gap-2 justify-center">
+              {Object.entries(CROP_SHAPES).map(([key, shape]) => (
+                <button
+                  key={key}
+                  onClick={() => setEdit(current => ({ ...current, shape: key }))}
+                  className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all ${edit.shape === key ? 'bg-[#8ED1FC] text-[#333333]' : 'bg-gray-200 text-[#333333] hover:bg-gray-300'}`}
+                >
+                  {shape.name}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex items-center gap-4">
+              <button onClick={() => rotate(-90)} className={`${buttonBg} p-2 rounded-lg transition-all`} title="Turn Left">
+                <RotateCcw className="w-5 h-5" />
+              </button>
+              <label className="flex-1">
+                <span className="block text-sm font-semibold mb-1">Zoom</span>
+                <input
+                  type="range"
+                  min="1"
+                  max="4"
+                  step="0.1"
+                  value={edit.zoom}
+                  onChange={(e) => setEdit(current => ({ ...current, zoom: Number(e.target.value) }))}
+                  className="w-full"
+                />
+              </label>
+              <button onClick={() => rotate(90)} className={`${buttonBg} p-2 rounded-lg transition-all`} title="Turn Right">
+                <RotateCw className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div
+            onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+            onDragLeave={() => setIsDraggingFile(false)}
+            onDrop={handleDrop}
+            className={`border-4 border-dashed rounded-xl p-8 text-center space-y-4 transition-all ${isDraggingFile ? 'border-[#FFB347] bg-yellow-50' : 'border-[#8ED1FC]'}`}
+          >
+            <p className="text-5xl">🖼️</p>
+            <p className="font-semibold">Drop a photo here, or</p>
+            <div className="flex gap-4 justify-center flex-wrap">
+              <button onClick={() => fileInputRef.current?.click()} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold transition-all`}>
+                <Upload className="w-5 h-5 inline mr-2" />
+                Choose a Picture
+              </button>
+              {hasCamera && (
+                <button onClick={startCamera} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold transition-all`}>
+                  <Camera className="w-5 h-5 inline mr-2" />
+                  Use the Camera
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600 mt-4">⚠️ {error}</p>}
+
+        <div className="flex gap-4 mt-6 justify-end flex-wrap">
+          <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          {source && !cameraOn && (
+            <>
+              <button onClick={() => setSource(null)} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+                Pick Another
+              </button>
+              <button onClick={save} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold transition-all`}>
+                <Save className="w-5 h-5 inline mr-2" />
+                Use This Picture
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Minutes and seconds, e.g. 1:05
+const formatTime = (total) => `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+
+// Narration Recorder Component
+// Recordings stop by themselves after a couple of minutes
+const MAX_NARRATION_SECONDS = 120;
+
+const NarrationRecorder = ({ page, updatePage, settings }) => {
+  const [status, setStatus] = useState('idle');
+  const [seconds, setSeconds] = useState(0);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+  const discardRef = useRef(false);
 
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
+  // Leaving the page mid-recording throws the recording away
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (canvas) {
-      const ctx = canvas.getContext('2d');
-      ctx.fillStyle = 'white';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
+    discardRef.current = false;
+    return () => {
+      discardRef.current = true;
+      if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+    };
   }, []);
 
-  const startDrawing = (e) => {
-    setIsDrawing(true);
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    ctx.beginPath();
-    ctx.moveTo(x, y);
+  useEffect(() => {
+    if (status !== 'recording') return;
+    const timer = setInterval(() => setSeconds(s => s + 1), 1000);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  useEffect(() => {
+    if (seconds >= MAX_NARRATION_SECONDS) recorderRef.current?.stop();
+  }, [seconds]);
+
+  const startRecording = async () => {
+    setError(null);
+    setSeconds(0);
+    try {
+      const recorder = await startNarrationRecorder();
+      // The page may have closed while the browser asked for the microphone
+      if (discardRef.current) {
+        recorder.stop();
+        return;
+      }
+      const chunks = [];
+      recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+      recorder.addEventListener('stop', async () => {
+        recorderRef.current = null;
+        if (discardRef.current) return;
+        setStatus('processing');
+        try {
+          const audio = await finishRecording(new Blob(chunks, { type: recorder.mimeType }));
+          updatePage(page.id, { audio });
+        } catch (err) {
+          setError(err.message);
+        }
+        setStatus('idle');
+      });
+      recorderRef.current = recorder;
+      setStatus('recording');
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
-  const draw = (e) => {
-    if (!isDrawing) return;
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    if (tool === 'eraser') {
-      ctx.strokeStyle = 'white';
-      ctx.lineWidth = brushSize * 3;
+  const stopRecording = () => recorderRef.current?.stop();
+
+  if (!isNarrationSupported()) return null;
+
+  return (
+    <div>
+      <label className="block font-semibold mb-2">Your Voice</label>
+      <div className="flex items-center gap-3 flex-wrap">
+        {status === 'recording' ? (
+          <button onClick={stopRecording} className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg font-semibold transition-all animate-pulse">
+            <Square className="w-4 h-4 inline mr-2" />
+            Stop ({formatTime(seconds)})
+          </button>
+        ) : (
+          <button
+            onClick={startRecording}
+            disabled={status === 'processing'}
+            className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all disabled:opacity-50`}
+          >
+            <Circle className="w-4 h-4 inline mr-2 text-red-600 fill-current" />
+            {status === 'processing' ? 'Saving...' : page.audio ? 'Record Again' : 'Record Reading'}
+          </button>
+        )}
+        {page.audio && status === 'idle' && (
+          <>
+            <audio controls src={page.audio} className="h-10 max-w-full" />
+            <button
+              onClick={() => updatePage(page.id, { audio: null })}
+              className="text-red-500 hover:text-red-700 transition-colors"
+              title="Delete Recording"
+            >
+              <Trash2 className="w-5 h-5" />
+            </button>
+          </>
+        )}
+      </div>
+      {!page.audio && status === 'idle' && !error && (
+        <p className="text-sm mt-1 opacity-75">Read this page out loud and it will be played in Preview instead of the computer voice.</p>
+      )}
+      {error && <p className="text-sm text-red-600 mt-2">⚠️ {error}</p>}
+    </div>
+  );
+};
+
+// Sticker Layout Component
+// Stickers are dragged around a small copy of the page; the round handle
+// resizes the selected one.
+const MIN_STICKER_SCALE = 0.4;
+const MAX_STICKER_SCALE = 5;
+
+const withNewSticker = (stickers, emoji) => [
+  ...stickers,
+  createSticker(emoji, stickers.length, { z: Math.max(-1, ...stickers.map(s => s.z)) + 1 })
+];
+
+const StickerLayout = ({ page, updatePage, backgroundClass, selectedId, setSelectedId, settings }) => {
+  const boxRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+  const stickers = page.stickers || [];
+  const selected = stickers.find(s => s.id === selectedId);
+
+  const updateSticker = (id, changes) => {
+    updatePage(page.id, { stickers: stickers.map(s => (s.id === id ? { ...s, ...changes } : s)) }, `stickers:${page.id}`);
+  };
+
+  const startDrag = (e, sticker, mode) => {
+    e.stopPropagation();
+    setSelectedId(sticker.id);
+    const rect = boxRef.current.getBoundingClientRect();
+    const centerX = rect.left + sticker.x * rect.width;
+    const centerY = rect.top + sticker.y * rect.height;
+    dragRef.current = {
+      mode,
+      id: sticker.id,
+      rect,
+      startX: e.clientX,
+      startY: e.clientY,
+      x: sticker.x,
+      y: sticker.y,
+      scale: sticker.scale,
+      centerX,
+      centerY,
+      distance: Math.max(1, Math.hypot(e.clientX - centerX, e.clientY - centerY))
+    };
+    boxRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.mode === 'move') {
+      updateSticker(drag.id, {
+        x: Math.min(1, Math.max(0, drag.x + (e.clientX - drag.startX) / drag.rect.width)),
+        y: Math.min(1, Math.max(0, drag.y + (e.clientY - drag.startY) / drag.rect.height))
+      });
     } else {
-      ctx.strokeStyle = color;
-      ctx.lineWidth = brushSize;
+      const distance = Math.hypot(e.clientX - drag.centerX, e.clientY - drag.centerY);
+      const scale = drag.scale * distance / drag.distance;
+      updateSticker(drag.id, { scale: Math.min(MAX_STICKER_SCALE, Math.max(MIN_STICKER_SCALE, scale)) });
     }
-    
-    ctx.lineCap = 'round';
-    ctx.lineTo(x, y);
-    ctx.stroke();
   };
 
-  const stopDrawing = () => {
-    setIsDrawing(false);
+  const endDrag = () => {
+    dragRef.current = null;
   };
 
-  const saveDrawing = () => {
-    const canvas = canvasRef.current;
-    const dataURL = canvas.toDataURL();
-    onSave(dataURL);
-    onClose();
+  const moveLayer = (toFront) => {
+    const zs = stickers.filter(s => s.id !== selected.id).map(s => s.z);
+    if (zs.length === 0) return;
+    updateSticker(selected.id, { z: toFront ? Math.max(...zs) + 1 : Math.min(...zs) - 1 });
   };
 
-  const clearCanvas = () => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  const removeSelected = () => {
+    updatePage(page.id, { stickers: stickers.filter(s => s.id !== selected.id) });
+    setSelectedId(null);
   };
 
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-4xl w-full">
-        <div className="flex justify-between items-center mb-4">
-          <h3 className="text-2xl font-bold">🎨 Draw on Your Page</h3>
-          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
-        </div>
+    <div className="space-y-3">
+      <div
+        ref={boxRef}
+        onPointerDown={() => setSelectedId(null)}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        style={{ containerType: 'inline-size' }}
+        className={`${backgroundClass} relative w-full aspect-[16/10] rounded-lg overflow-hidden border-2 border-[#8ED1FC] touch-none select-none`}
+      >
+        {page.emotion && <span className="absolute top-2 right-2 text-3xl opacity-60">{page.emotion}</span>}
+        <p className={`absolute inset-x-8 top-1/2 -translate-y-1/2 text-center text-sm line-clamp-3 opacity-40 pointer-events-none ${page.background === 'space' ? 'text-white' : 'text-[#333333]'}`}>
+          {page.text}
+        </p>
+
+        {getLayeredStickers(page).map(sticker => (
+          <span
+            key={sticker.id}
+            onPointerDown={(e) => startDrag(e, sticker, 'move')}
+            style={{
+              left: `${sticker.x * 100}%`,
+              top: `${sticker.y * 100}%`,
+              fontSize: `${STICKER_SIZE * 100 * sticker.scale}cqw`,
+              transform: `translate(-50%, -50%) rotate(${sticker.rotation}deg)`
+            }}
+            className={`absolute leading-none cursor-move ${sticker.id === selectedId ? 'outline-2 outline-dashed outline-[#FFB347] rounded' : ''}`}
+          >
+            {sticker.emoji}
+            {sticker.id === selectedId && (
+              <span
+                onPointerDown={(e) => startDrag(e, sticker, 'resize')}
+                className="absolute -bottom-2 -right-2 w-4 h-4 rounded-full bg-[#FFB347] border-2 border-white cursor-nwse-resize"
+                title="Drag to resize"
+              />
+            )}
+          </span>
+        ))}
+      </div>
 
-        <div className="flex gap-4 mb-4 flex-wrap">
+      {selected ? (
+        <div className="flex flex-wrap items-center gap-4">
+          <span className="text-3xl">{selected.emoji}</span>
+          <label className="flex-1 min-w-[8rem]">
+            <span className="block text-sm font-semibold">Size</span>
+            <input
+              type="range"
+              min={MIN_STICKER_SCALE}
+              max={MAX_STICKER_SCALE}
+              step="0.1"
+              value={selected.scale}
+              onChange={(e) => updateSticker(selected.id, { scale: Number(e.target.value) })}
+              className="w-full"
+            />
+          </label>
+          <label className="flex-1 min-w-[8rem]">
+            <span className="block text-sm font-semibold">Turn</span>
+            <input
+              type="range"
+              min="-180"
+              max="180"
+              step="5"
+              value={selected.rotation}
+              onChange={(e) => updateSticker(selected.id, { rotation: Number(e.target.value) })}
+              className="w-full"
+            />
+          </label>
           <div className="flex gap-2">
-            <button
-              onClick={() => setTool('pen')}
-              className={`p-2 rounded ${tool === 'pen' ? 'bg-[#8ED1FC]' : 'bg-gray-200'}`}
-            >
-              <Pencil className="w-6 h-6" />
+            <button onClick={() => moveLayer(true)} className={`${buttonBg} px-3 py-1 rounded-lg text-sm transition-all`}>
+              To Front
             </button>
-            <button
-              onClick={() => setTool('eraser')}
-              className={`p-2 rounded ${tool === 'eraser' ? 'bg-[#8ED1FC]' : 'bg-gray-200'}`}
-            >
-              <Eraser className="w-6 h-6" />
+            <button onClick={() => moveLayer(false)} className={`${buttonBg} px-3 py-1 rounded-lg text-sm transition-all`}>
+              To Back
+            </button>
+            <button onClick={removeSelected} className="text-red-500 hover:text-red-700 transition-colors" title="Remove Sticker">
+              <Trash2 className="w-5 h-5" />
             </button>
           </div>
-
-          <input
-            type="color"
-            value={color}
-            onChange={(e) => setColor(e.target.value)}
-            className="w-12 h-12 rounded"
-          />
-
-          <select
-            value={brushSize}
-            onChange={(e) => setBrushSize(Number(e.target.value))}
-            className="px-4 py-2 rounded border-2"
-          >
-            <option value={1}>Thin</option>
-            <option value={3}>Medium</option>
-            <option value={5}>Thick</option>
-            <option value={10}>Very Thick</option>
-          </select>
-
-          <button onClick={clearCanvas} className={`${buttonBg} px-4 py-2 rounded-lg`}>
-            Clear
-          </button>
-        </div>
-
-        <canvas
-          ref={canvasRef}
-          width={800}
-          height={400}
-          onMouseDown={startDrawing}
-          onMouseMove={draw}
-          onMouseUp={stopDrawing}
-          onMouseLeave={stopDrawing}
-          className="border-2 border-gray-300 rounded-lg w-full cursor-crosshair"
-        />
-
-        <div className="flex gap-4 mt-4 justify-end">
-          <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400">
-            Cancel
-          </button>
-          <button onClick={saveDrawing} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold`}>
-            Save Drawing
-          </button>
         </div>
-      </div>
+      ) : stickers.length > 0 && (
+        <p className="text-sm opacity-75">Drag stickers to move them. Tap one to make it bigger, turn it or remove it.</p>
+      )}
     </div>
   );
 };
 
+// Used when reading a page aloud and for the Memory Match word cards
+const EMOTION_DESCRIPTIONS = {
+  '😊': 'happy', '😢': 'sad', '😡': 'angry', '😱': 'scared',
+  '😍': 'in love', '😴': 'sleepy', '🤔': 'thinking', '😮': 'surprised'
+};
+
+const getEmotionDescription = (emoji) => EMOTION_DESCRIPTIONS[emoji] || 'feeling something';
+
 // Page Editor Component
 const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing }) => {
   const [isRecording, setIsRecording] = useState(false);
@@ -1156,24 +3478,26 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
   const [showStickers, setShowStickers] = useState(false);
   const [wordSuggestions, setWordSuggestions] = useState([]);
   const [localText, setLocalText] = useState(page.text || '');
+  const [pictureDialog, setPictureDialog] = useState(null);
+  const [selectedStickerId, setSelectedStickerId] = useState(null);
   const textareaRef = useRef(null);
 
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
-  // Sync local text with page text when page changes
+  // Sync local text with page text when the page changes or an undo/redo rewrites it
   useEffect(() => {
     setLocalText(page.text || '');
-  }, [page.id]);
+  }, [page.id, page.text]);
 
   // Handle text changes with debouncing to avoid constant re-renders
   const handleTextChange = (e) => {
     const newText = e.target.value;
     setLocalText(newText);
     
-    // Update the parent immediately so changes are saved
-    updatePage(page.id, { text: newText });
+    // Update the parent immediately so changes are saved; keystrokes are grouped into one undo step
+    updatePage(page.id, { text: newText }, `text:${page.id}`);
   };
 
   // Pictogram suggestions
@@ -1271,14 +3595,6 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
     setIsSpeaking(false);
   };
 
-  const getEmotionDescription = (emoji) => {
-    const emotionMap = {
-      '😊': 'happy', '😢': 'sad', '😡': 'angry', '😱': 'scared',
-      '😍': 'in love', '😴': 'sleepy', '🤔': 'thinking', '😮': 'surprised'
-    };
-    return emotionMap[emoji] || 'feeling something';
-  };
-
   const getMoodThemeColor = (emotion) => {
     const moodColors = {
       '😊': 'yellow', '😢': 'blue', '😡': 'red', '😱': 'purple',
@@ -1294,13 +3610,25 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
     setLocalText(newText);
     updatePage(page.id, { 
       text: newText,
-      stickers: [...(page.stickers || []), emoji]
+      stickers: withNewSticker(page.stickers || [], emoji)
     });
     setWordSuggestions([]);
   };
 
+  // Photos dropped anywhere on the editor open straight in the picture dialog
+  const handlePictureDrop = (e) => {
+    const file = [...e.dataTransfer.files].find(isPictureFile);
+    if (!file) return;
+    e.preventDefault();
+    setPictureDialog({ file });
+  };
+
   return (
-    <div className={`${cardBg} p-6 rounded-xl shadow-lg space-y-4`}>
+    <div
+      onDragOver={(e) => { if (e.dataTransfer.types.includes('Files')) e.preventDefault(); }}
+      onDrop={handlePictureDrop}
+      className={`${cardBg} p-6 rounded-xl shadow-lg space-y-4`}
+    >
       <h3 className="text-2xl font-bold">Edit Page</h3>
 
       <div>
@@ -1343,6 +3671,13 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
             >
               <Pencil className="w-5 h-5" />
             </button>
+            <button
+              onClick={() => setPictureDialog({})}
+              className={`${buttonBg} p-2 rounded-lg transition-all`}
+              title="Add a Picture"
+            >
+              <Camera className="w-5 h-5" />
+            </button>
           </div>
         </div>
         <textarea
@@ -1373,6 +3708,8 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
         )}
       </div>
 
+      <NarrationRecorder key={page.id} page={page} updatePage={updatePage} settings={settings} />
+
       <div>
         <label className="block font-semibold mb-2">Character Emotion</label>
         <div className="max-h-32 overflow-y-auto">
@@ -1408,8 +3745,9 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
                 <button
                   key={sticker}
                   onClick={() => {
-                    const newStickers = [...(page.stickers || []), sticker];
+                    const newStickers = withNewSticker(page.stickers || [], sticker);
                     updatePage(page.id, { stickers: newStickers });
+                    setSelectedStickerId(newStickers[newStickers.length - 1].id);
                   }}
                   className="text-3xl hover:scale-125 transition-all"
                 >
@@ -1421,20 +3759,15 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
         )}
         
         {page.stickers?.length > 0 && (
-          <div className="flex flex-wrap gap-2 mt-2">
-            {page.stickers.map((sticker, i) => (
-              <button
-                key={i}
-                onClick={() => {
-                  const newStickers = page.stickers.filter((_, idx) => idx !== i);
-                  updatePage(page.id, { stickers: newStickers });
-                }}
-                className="text-2xl bg-white rounded-lg p-2 hover:bg-red-100 transition-all"
-                title="Click to remove"
-              >
-                {sticker}
-              </button>
-            ))}
+          <div className="mt-2">
+            <StickerLayout
+              page={page}
+              updatePage={updatePage}
+              backgroundClass={backgrounds.find(bg => bg.value === page.background)?.color || 'bg-white'}
+              selectedId={selectedStickerId}
+              setSelectedId={setSelectedStickerId}
+              settings={settings}
+            />
           </div>
         )}
       </div>
@@ -1444,7 +3777,7 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
           <label className="block font-semibold mb-2">Your Drawing</label>
           <img src={page.drawing} alt="Drawing" className="w-full rounded-lg border-2 border-[#8ED1FC]" />
           <button
-            onClick={() => updatePage(page.id, { drawing: null })}
+            onClick={() => updatePage(page.id, { drawing: null, drawingStrokes: null })}
             className="mt-2 text-red-500 hover:text-red-700 text-sm"
           >
             Remove Drawing
@@ -1452,9 +3785,35 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
         </div>
       )}
 
+      {page.image && (
+        <div>
+          <label className="block font-semibold mb-2">Your Picture</label>
+          <img src={page.image} alt="Picture" className="w-full rounded-lg border-2 border-[#8ED1FC]" />
+          <div className="flex gap-4 mt-2">
+            <button onClick={() => setPictureDialog({})} className="text-blue-600 hover:text-blue-800 text-sm">
+              Change Picture
+            </button>
+            <button onClick={() => updatePage(page.id, { image: null })} className="text-red-500 hover:text-red-700 text-sm">
+              Remove Picture
+            </button>
+          </div>
+        </div>
+      )}
+
+      {pictureDialog && (
+        <PictureDialog
+          initialFile={pictureDialog.file}
+          onSave={(image) => updatePage(page.id, { image })}
+          onClose={() => setPictureDialog(null)}
+          settings={settings}
+        />
+      )}
+
       {showDrawing && (
         <DrawingCanvas
-          onSave={(drawing) => updatePage(page.id, { drawing })}
+          initialDrawing={page.drawing}
+          initialStrokes={page.drawingStrokes}
+          onSave={(drawing, drawingStrokes) => updatePage(page.id, { drawing, drawingStrokes })}
           onClose={() => setShowDrawing(false)}
           settings={settings}
         />
@@ -1464,16 +3823,26 @@ const PageEditor = ({ page, updatePage, settings, showDrawing, setShowDrawing })
 };
 
 // Preview Component
-const Preview = ({ story, setView, settings }) => {
+const Preview = ({ story, setView, settings, readOnly }) => {
   const [currentPageIndex, setCurrentPageIndex] = useState(0);
   const [isReading, setIsReading] = useState(false);
   const [highlightedWord, setHighlightedWord] = useState(-1);
+  const audioRef = useRef(null);
 
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
   const currentPage = story.pages[currentPageIndex];
 
+  // A recording belongs to its page, so it stops when the page turns
+  useEffect(() => () => {
+    if (!audioRef.current) return;
+    audioRef.current.pause();
+    audioRef.current = null;
+    setIsReading(false);
+    setHighlightedWord(-1);
+  }, [currentPageIndex]);
+
   const nextPage = () => {
     if (currentPageIndex < story.pages.length - 1) {
       setCurrentPageIndex(currentPageIndex + 1);
@@ -1488,7 +3857,37 @@ const Preview = ({ story, setView, settings }) => {
     }
   };
 
+  // The child's own recording, with words highlighted at their estimated times
+  const playRecording = () => {
+    const audio = new Audio(currentPage.audio);
+    const pageWords = currentPage.text?.split(' ') || [];
+    audioRef.current = audio;
+
+    const finish = () => {
+      audioRef.current = null;
+      setIsReading(false);
+      setHighlightedWord(-1);
+    };
+
+    audio.onplay = () => setIsReading(true);
+    audio.onended = finish;
+    audio.onerror = finish;
+    if (settings.highlightWords) {
+      audio.ontimeupdate = () => {
+        if (!Number.isFinite(audio.duration)) return;
+        const timings = estimateWordTimings(pageWords, audio.duration);
+        setHighlightedWord(timings.findIndex(([, end]) => audio.currentTime < end));
+      };
+    }
+
+    audio.play().catch(finish);
+  };
+
   const readCurrentPage = () => {
+    if (currentPage?.audio) {
+      playRecording();
+      return;
+    }
     if (!settings.ttsEnabled || !currentPage?.text) return;
     
     const words = currentPage.text.split(' ');
@@ -1514,6 +3913,10 @@ const Preview = ({ story, setView, settings }) => {
   };
 
   const stopReading = () => {
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current = null;
+    }
     window.speechSynthesis.cancel();
     setIsReading(false);
     setHighlightedWord(-1);
@@ -1536,9 +3939,11 @@ const Preview = ({ story, setView, settings }) => {
       <div className={`${cardBg} p-12 rounded-xl text-center`}>
         <Book className="w-16 h-16 mx-auto mb-4 opacity-50" />
         <p className="text-xl mb-4">No pages in this story yet!</p>
-        <button onClick={() => setView('editor')} className={`${buttonBg} px-6 py-3 rounded-lg font-semibold transition-all`}>
-          Go to Editor
-        </button>
+        {!readOnly && (
+          <button onClick={() => setView('editor')} className={`${buttonBg} px-6 py-3 rounded-lg font-semibold transition-all`}>
+            Go to Editor
+          </button>
+        )}
       </div>
     );
   }
@@ -1549,30 +3954,43 @@ const Preview = ({ story, setView, settings }) => {
     <div className="max-w-4xl mx-auto space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-3xl font-bold">{story.title}</h2>
-        <button onClick={() => setView('editor')} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
-          <Edit2 className="w-5 h-5 inline mr-1" />
-          Back to Editor
-        </button>
+        {!readOnly && (
+          <button onClick={() => setView('editor')} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
+            <Edit2 className="w-5 h-5 inline mr-1" />
+            Back to Editor
+          </button>
+        )}
       </div>
 
-      <div className={`${getBackgroundClass(currentPage?.background)} rounded-xl shadow-2xl p-12 min-h-[500px] relative ${settings.animations ? 'transition-all duration-500' : ''}`}>
+      <div
+        style={{ containerType: 'inline-size' }}
+        className={`${getBackgroundClass(currentPage?.background)} rounded-xl shadow-2xl p-12 min-h-[500px] relative ${settings.animations ? 'transition-all duration-500' : ''}`}
+      >
         {currentPage?.emotion && (
           <div className="absolute top-4 right-4 text-6xl">
             {currentPage.emotion}
           </div>
         )}
 
-        {currentPage?.stickers && currentPage.stickers.length > 0 && (
-          <div className="absolute top-4 left-4 flex gap-2 flex-wrap max-w-xs">
-            {currentPage.stickers.map((sticker, i) => (
-              <span key={i} className="text-4xl">{sticker}</span>
-            ))}
-          </div>
-        )}
+        {currentPage && getLayeredStickers(currentPage).map(sticker => (
+          <span
+            key={sticker.id}
+            style={{
+              left: `${sticker.x * 100}%`,
+              top: `${sticker.y * 100}%`,
+              fontSize: `${STICKER_SIZE * 100 * sticker.scale}cqw`,
+              transform: `translate(-50%, -50%) rotate(${sticker.rotation}deg)`
+            }}
+            className="absolute leading-none pointer-events-none"
+          >
+            {sticker.emoji}
+          </span>
+        ))}
 
-        {currentPage?.drawing && (
-          <div className="mb-4">
-            <img src={currentPage.drawing} alt="Drawing" className="max-w-full max-h-48 mx-auto rounded-lg" />
+        {(currentPage?.image || currentPage?.drawing) && (
+          <div className="mb-4 flex flex-wrap justify-center items-center gap-4">
+            {currentPage.image && <img src={currentPage.image} alt="Picture" className="max-w-full max-h-48 rounded-lg shadow" />}
+            {currentPage.drawing && <img src={currentPage.drawing} alt="Drawing" className="max-w-full max-h-48 rounded-lg" />}
           </div>
         )}
 
@@ -1600,7 +4018,7 @@ const Preview = ({ story, setView, settings }) => {
             ) : (
               <>
                 <Volume2 className="w-6 h-6 inline mr-2" />
-                Read Aloud
+                {currentPage?.audio ? 'Hear My Reading' : 'Read Aloud'}
               </>
             )}
           </button>
@@ -1624,30 +4042,225 @@ const Preview = ({ story, setView, settings }) => {
         </button>
 
         <div className="flex gap-2">
-          {story.pages.map((_, index) => (
+          {story.pages.map((_, index) => (
+            <button
+              key={index}
+              onClick={() => setCurrentPageIndex(index)}
+              className={`w-3 h-3 rounded-full transition-all ${index === currentPageIndex ? 'bg-[#FFB347] w-8' : 'bg-gray-400'}`}
+            />
+          ))}
+        </div>
+
+        <button
+          onClick={nextPage}
+          disabled={currentPageIndex === story.pages.length - 1}
+          className={`${buttonBg} px-6 py-3 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
+        >
+          Next
+          <ArrowRight className="w-5 h-5 inline ml-1" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Shared Story View Component
+// A story opened from a share link, shown read-only until it is imported
+const SharedStoryView = ({ story, canSave, onSave, onClose, settings }) => {
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  return (
+    <div className="space-y-6">
+      <div className={`${cardBg} max-w-4xl mx-auto p-4 rounded-xl shadow flex justify-between items-center gap-4 flex-wrap`}>
+        <p className="font-semibold">📖 Someone shared this story with you. You can read it here.</p>
+        <div className="flex gap-2">
+          {canSave && (
+            <button onClick={onSave} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all`}>
+              <Download className="w-5 h-5 inline mr-1" />
+              Add to My Stories
+            </button>
+          )}
+          <button onClick={onClose} className="px-4 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333] font-semibold">
+            Close
+          </button>
+        </div>
+      </div>
+      <Preview story={story} settings={settings} readOnly />
+    </div>
+  );
+};
+
+// Parental Gate Component
+// A simple multiplication question that young children are unlikely to answer
+const ParentalGate = ({ onPass, onCancel, settings, reason }) => {
+  const [question] = useState(() => ({
+    a: 6 + Math.floor(Math.random() * 14),
+    b: 3 + Math.floor(Math.random() * 7)
+  }));
+  const [answer, setAnswer] = useState('');
+  const [wrong, setWrong] = useState(false);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const check = (e) => {
+    e.preventDefault();
+    if (Number(answer) === question.a * question.b) {
+      onPass();
+    } else {
+      setWrong(true);
+      setAnswer('');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={check} className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-md w-full text-center`}>
+        <Lock className="w-12 h-12 mx-auto mb-2" />
+        <h3 className="text-2xl font-bold mb-2">Grown-ups Only</h3>
+        <p className="mb-4">{reason}</p>
+        <label className="block font-semibold mb-2">What is {question.a} × {question.b}?</label>
+        <input
+          type="number"
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none text-center text-xl`}
+          autoFocus
+        />
+        {wrong && <p className="text-red-600 text-sm mt-2">That's not right. Please try again.</p>}
+        <div className="flex gap-4 mt-6 justify-center">
+          <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button type="submit" className={`${buttonBg} px-6 py-2 rounded-lg font-semibold`}>
+            Continue
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Trash View Component
+const TrashView = ({ trash, stories, restoreFromTrash, deleteFromTrash, setView, settings }) => {
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const sortedTrash = [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  // With parental controls on, permanent deletion needs a grown-up
+  const requestDelete = (ids) => {
+    if (settings.parentalControls) {
+      setPendingDelete(ids);
+    } else if (window.confirm(ids.length === 1 ? 'Delete this forever?' : `Delete all ${ids.length} items forever?`)) {
+      deleteFromTrash(ids);
+    }
+  };
+
+  const isParentInTrash = (item) => item.type === 'page'
+    && !stories.some(s => s.id === item.storyId)
+    && trash.some(t => t.type === 'story' && t.item.id === item.storyId);
+
+  const getParentStatus = (item) => {
+    if (item.type !== 'page') return null;
+    if (stories.some(s => s.id === item.storyId)) return `From "${item.storyTitle}"`;
+    if (isParentInTrash(item)) return `From "${item.storyTitle}" (restore the story first)`;
+    return `From "${item.storyTitle}" (will be restored as a new story)`;
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex justify-between items-center flex-wrap gap-4">
+        <h2 className="text-3xl font-bold">🗑️ Trash</h2>
+        <div className="flex gap-2">
+          {trash.length > 0 && (
             <button
-              key={index}
-              onClick={() => setCurrentPageIndex(index)}
-              className={`w-3 h-3 rounded-full transition-all ${index === currentPageIndex ? 'bg-[#FFB347] w-8' : 'bg-gray-400'}`}
-            />
-          ))}
+              onClick={() => requestDelete(trash.map(item => item.id))}
+              className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg font-semibold transition-all"
+            >
+              {settings.parentalControls && <Lock className="w-5 h-5 inline mr-1" />}
+              Empty Trash
+            </button>
+          )}
+          <button onClick={() => setView('home')} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
+            Back to Home
+          </button>
         </div>
+      </div>
 
-        <button
-          onClick={nextPage}
-          disabled={currentPageIndex === story.pages.length - 1}
-          className={`${buttonBg} px-6 py-3 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
-        >
-          Next
-          <ArrowRight className="w-5 h-5 inline ml-1" />
-        </button>
+      <div className={`${cardBg} p-4 rounded-xl shadow text-sm text-center`}>
+        {settings.trashRetentionDays
+          ? `Deleted stories and pages are kept for ${settings.trashRetentionDays} days, then removed for good.`
+          : 'Deleted stories and pages are kept until the trash is emptied.'}
       </div>
+
+      {sortedTrash.length === 0 ? (
+        <div className={`${cardBg} p-12 rounded-xl text-center`}>
+          <Trash2 className="w-16 h-16 mx-auto mb-4 opacity-50" />
+          <p className="text-xl">The trash is empty!</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {sortedTrash.map(item => {
+            const daysLeft = getTrashDaysLeft(item, settings.trashRetentionDays);
+            return (
+              <div key={item.id} className={`${cardBg} p-4 rounded-xl shadow-lg flex justify-between items-center gap-4 flex-wrap`}>
+                <div className="flex-1 min-w-0">
+                  {item.type === 'story' ? (
+                    <p className="font-bold text-lg">📚 {item.item.title}</p>
+                  ) : (
+                    <p className="font-bold text-lg line-clamp-1">📄 {item.item.text || 'Empty page'}</p>
+                  )}
+                  <p className="text-sm opacity-75">
+                    {item.type === 'story' ? `${item.item.pages.length} pages` : getParentStatus(item)}
+                    {' · '}Deleted {new Date(item.deletedAt).toLocaleDateString()}
+                    {daysLeft !== null && ` · ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => restoreFromTrash(item)}
+                    disabled={isParentInTrash(item)}
+                    className={`${buttonBg} px-4 py-2 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed`}
+                  >
+                    <ArchiveRestore className="w-5 h-5 inline mr-1" />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => requestDelete([item.id])}
+                    className="text-red-500 hover:text-red-700 px-2 transition-colors"
+                    title="Delete forever"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {pendingDelete && (
+        <ParentalGate
+          reason={pendingDelete.length === 1 ? 'Deleting this forever cannot be undone.' : 'Emptying the trash cannot be undone.'}
+          onPass={() => {
+            deleteFromTrash(pendingDelete);
+            setPendingDelete(null);
+          }}
+          onCancel={() => setPendingDelete(null)}
+          settings={settings}
+        />
+      )}
     </div>
   );
 };
 
 // Progress Dashboard Component
-const ProgressDashboard = ({ stories, setView, settings }) => {
+const ProgressDashboard = ({ stories, profile, setView, settings }) => {
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
@@ -1678,6 +4291,12 @@ const ProgressDashboard = ({ stories, setView, settings }) => {
     return { date: date.split(' ')[0] + ' ' + date.split(' ')[2], words: count };
   });
 
+  const sequencingAttempts = profile.gameStats?.sequencing?.attempts || [];
+  const perfectAttempts = sequencingAttempts.filter(a => a.correct === a.pageCount).length;
+  const averageScore = sequencingAttempts.length > 0
+    ? Math.round(sequencingAttempts.reduce((sum, a) => sum + a.correct / a.pageCount, 0) / sequencingAttempts.length * 100)
+    : 0;
+
   return (
     <div className="max-w-6xl mx-auto space-y-6">
       <div className="flex justify-between items-center">
@@ -1757,12 +4376,38 @@ const ProgressDashboard = ({ stories, setView, settings }) => {
             ))}
         </div>
       </div>
+
+      <div className={`${cardBg} p-6 rounded-xl shadow-lg`}>
+        <h3 className="text-xl font-bold mb-4">🔢 Story Sequencing</h3>
+        {sequencingAttempts.length > 0 ? (
+          <>
+            <div className="flex flex-wrap gap-6 mb-4">
+              <div><span className="text-2xl font-bold">{sequencingAttempts.length}</span> <span className="text-sm opacity-75">tries</span></div>
+              <div><span className="text-2xl font-bold">{perfectAttempts}</span> <span className="text-sm opacity-75">perfect</span></div>
+              <div><span className="text-2xl font-bold">{averageScore}%</span> <span className="text-sm opacity-75">pages in the right place</span></div>
+            </div>
+            <div className="space-y-2">
+              {sequencingAttempts.slice(-5).reverse().map((attempt, i) => (
+                <div key={i} className="flex justify-between items-center bg-gray-100 text-gray-800 px-4 py-2 rounded-lg">
+                  <span>
+                    <span className="font-semibold">{attempt.storyTitle || 'Untitled Story'}</span>
+                    <span className="text-sm opacity-75 ml-2">{SEQUENCING_LEVELS[attempt.level]?.name} · {new Date(attempt.date).toLocaleDateString()}</span>
+                  </span>
+                  <span className="font-semibold">{attempt.correct === attempt.pageCount ? '🎉 ' : ''}{attempt.correct}/{attempt.pageCount}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p className="text-gray-500">No sequencing games yet. Try one in Fun Games!</p>
+        )}
+      </div>
     </div>
   );
 };
 
 // Mini Games Component
-const MiniGames = ({ stories, setView, settings }) => {
+const MiniGames = ({ stories, updateStory, profile, updateProfile, setView, settings }) => {
   const [selectedGame, setSelectedGame] = useState(null);
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
@@ -1778,11 +4423,19 @@ const MiniGames = ({ stories, setView, settings }) => {
   ];
 
   if (selectedGame === 1) {
-    return <ColoringGame onClose={() => setSelectedGame(null)} settings={settings} />;
+    return <ColoringGame stories={stories} updateStory={updateStory} profileId={profile.id} onClose={() => setSelectedGame(null)} settings={settings} />;
   }
 
   if (selectedGame === 2) {
-    return <SequencingGame stories={stories} onClose={() => setSelectedGame(null)} settings={settings} />;
+    return <SequencingGame stories={stories} profile={profile} updateProfile={updateProfile} onClose={() => setSelectedGame(null)} settings={settings} />;
+  }
+
+  if (selectedGame === 3) {
+    return <WordFinder stories={stories} profile={profile} updateProfile={updateProfile} onClose={() => setSelectedGame(null)} settings={settings} />;
+  }
+
+  if (selectedGame === 4) {
+    return <MemoryMatch stories={stories} onClose={() => setSelectedGame(null)} settings={settings} />;
   }
 
   return (
@@ -1832,127 +4485,888 @@ const MiniGames = ({ stories, setView, settings }) => {
 };
 
 // Coloring Game Component
-const ColoringGame = ({ onClose, settings }) => {
+const COLORING_PALETTE = [
+  '#FF0000', '#FF6B6B', '#FFA500', '#FFD580', '#FFFF00', '#FFF59D',
+  '#00C853', '#A5D6A7', '#006400', '#00FFFF', '#8ED1FC', '#0000FF',
+  '#3F51B5', '#800080', '#CE93D8', '#FF00FF', '#FF80AB', '#8B4513',
+  '#D2B48C', '#F5CBA7', '#FFFFFF', '#BDBDBD', '#616161', '#000000'
+];
+
+const ColoringGame = ({ stories, updateStory, profileId, onClose, settings }) => {
   const canvasRef = useRef(null);
+  const paintRef = useRef(null);
+  const linesRef = useRef(null);
+  const paintedRef = useRef(null);
+  const [theme, setTheme] = useState(LINE_ART_THEMES[0].id);
+  const [pictureId, setPictureId] = useState(null);
+  const [galleryId, setGalleryId] = useState(null);
+  const [fills, setFills] = useState([]);
+  const [linesReady, setLinesReady] = useState(false);
   const [selectedColor, setSelectedColor] = useState('#FF0000');
-  
-  const colors = ['#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF', '#FFA500', '#800080'];
+  const [showGallery, setShowGallery] = useState(false);
+  const [gallery, setGallery] = useState([]);
+  const [attaching, setAttaching] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-white' : 'bg-white';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+  const picture = pictureId ? getLineArt(pictureId) : null;
+
+  useEffect(() => {
+    listGalleryPictures(profileId)
+      .then(setGallery)
+      .catch(() => setError("We couldn't open your gallery."));
+  }, [profileId]);
+
+  useEffect(() => {
+    if (!pictureId) return;
+    let cancelled = false;
+    loadLineArt(getLineArt(pictureId)).then(lines => {
+      if (cancelled) return;
+      linesRef.current = lines;
+      paintRef.current = createPaintCanvas();
+      paintedRef.current = [];
+      setLinesReady(true);
+    }).catch(() => {
+      if (!cancelled) setError("We couldn't open that picture. Try another one.");
+    });
+    return () => { cancelled = true; };
+  }, [pictureId]);
+
+  // A new fill is painted on top; after an undo the paint is redone from the
+  // start. The canvas is shown again when coming back from the gallery.
+  useEffect(() => {
+    if (!linesReady || showGallery || !picture || !canvasRef.current) return;
+    const painted = paintedRef.current;
+    if (painted !== fills) {
+      const isNextFill = fills.length === painted.length + 1 && painted.every((fill, i) => fills[i] === fill);
+      if (isNextFill) {
+        applyFill(paintRef.current, linesRef.current, fills[fills.length - 1]);
+      } else {
+        paintRef.current = createPaintCanvas();
+        fills.forEach(fill => applyFill(paintRef.current, linesRef.current, fill));
+      }
+      paintedRef.current = fills;
+    }
+    composeColoring(canvasRef.current.getContext('2d'), paintRef.current, linesRef.current);
+  }, [fills, linesReady, showGallery, picture]);
+
+  const openPicture = (id, saved = null) => {
+    if (id !== pictureId) setLinesReady(false);
+    setPictureId(id);
+    setGalleryId(saved ? saved.id : null);
+    setFills(saved ? saved.fills : []);
+    setShowGallery(false);
+    setMessage(null);
+    setError(null);
+  };
+
+  const closePicture = () => {
+    setLinesReady(false);
+    setPictureId(null);
+  };
+
+  const handleClick = (e) => {
+    if (!linesReady) return;
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.round((e.clientX - rect.left - canvas.clientLeft) * canvas.width / canvas.clientWidth);
+    const y = Math.round((e.clientY - rect.top - canvas.clientTop) * canvas.height / canvas.clientHeight);
+    if (isOnLine(linesRef.current, x, y)) return;
+    setFills(current => [...current, { point: [x, y], color: selectedColor }]);
+    setMessage(null);
+  };
+
+  const undo = () => setFills(current => current.slice(0, -1));
+
+  const saveToGallery = async () => {
+    setError(null);
+    try {
+      const saved = await saveGalleryPicture({
+        id: galleryId || undefined,
+        profileId,
+        name: picture.name,
+        lineArtId: picture.id,
+        fills,
+        picture: canvasRef.current.toDataURL()
+      });
+      setGalleryId(saved.id);
+      setGallery(current => [saved, ...current.filter(item => item.id !== saved.id)]);
+      setMessage('Saved to your gallery!');
+    } catch {
+      setError("We couldn't save your picture. Please try again.");
+    }
+  };
+
+  const removeFromGallery = async (item) => {
+    if (!window.confirm(`Delete your ${item.name} picture?`)) return;
+    try {
+      await deleteGalleryPicture(item.id);
+      setGallery(current => current.filter(other => other.id !== item.id));
+      if (galleryId === item.id) setGalleryId(null);
+    } catch {
+      setError("We couldn't delete that picture.");
+    }
+  };
+
+  // The picture becomes the page's drawing, which can still be drawn on later
+  const attachToPage = () => {
+    const story = stories.find(s => s.id === attaching.storyId);
+    const page = story?.pages.find(p => p.id === attaching.pageId);
+    if (!page) return;
+    if (page.drawing && !window.confirm('This page already has a drawing. Replace it with your colored picture?')) return;
+    updateStory({
+      ...story,
+      pages: story.pages.map(p => p.id === page.id ? { ...p, drawing: attaching.picture, drawingStrokes: null } : p)
+    });
+    setMessage(`Added to page ${story.pages.indexOf(page) + 1} of "${story.title || 'Untitled Story'}"!`);
+    setAttaching(null);
+  };
+
+  const startAttaching = (item) => {
+    const story = stories.find(s => s.pages.length > 0);
+    setAttaching({ id: item.id, picture: item.picture, storyId: story?.id || '', pageId: story?.pages[0].id || '' });
+    setMessage(null);
+  };
+
+  const attachingStory = attaching && stories.find(s => s.id === attaching.storyId);
+
+  const header = (title, onBack) => (
+    <div className="flex justify-between items-center mb-4">
+      <div className="flex items-center gap-3">
+        {onBack && (
+          <button onClick={onBack} className="p-2 rounded bg-gray-200 hover:bg-gray-300" title="Back">
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+        )}
+        <h3 className="text-2xl font-bold">{title}</h3>
+      </div>
+      <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
+    </div>
+  );
+
+  const notices = (
+    <>
+      {message && <p className="text-sm text-green-700 mt-2">✅ {message}</p>}
+      {error && <p className="text-sm text-red-600 mt-2">⚠️ {error}</p>}
+    </>
+  );
+
+  if (showGallery) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-xl shadow-2xl p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+          {header('🖼️ My Gallery', () => setShowGallery(false))}
+
+          {gallery.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No pictures yet. Color one in and save it to see it here!</p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {gallery.map(item => (
+                <div key={item.id} className="border-2 border-gray-200 rounded-lg p-3">
+                  <img src={item.picture} alt={item.name} className="w-full rounded border border-gray-200" />
+                  <div className="flex justify-between items-center mt-2">
+                    <div>
+                      <div className="font-semibold">{item.name}</div>
+                      <div className="text-xs opacity-75">{new Date(item.createdAt).toLocaleDateString()}</div>
+                    </div>
+                    <button onClick={() => removeFromGallery(item)} className="p-2 rounded hover:bg-red-100" title="Delete">
+                      <Trash2 className="w-5 h-5 text-red-600" />
+                    </button>
+                  </div>
+                  <div className="flex gap-2 mt-2">
+                    <button onClick={() => openPicture(item.lineArtId, item)} className="flex-1 px-3 py-2 rounded bg-gray-200 hover:bg-gray-300 text-sm font-semibold">
+                      Keep Coloring
+                    </button>
+                    <button
+                      onClick={() => startAttaching(item)}
+                      disabled={!stories.some(s => s.pages.length > 0)}
+                      className={`flex-1 ${buttonBg} px-3 py-2 rounded text-sm font-semibold disabled:opacity-40`}
+                    >
+                      Add to a Story
+                    </button>
+                  </div>
+
+                  {attaching?.id === item.id && (
+                    <div className="mt-3 space-y-2">
+                      <select
+                        value={attaching.storyId}
+                        onChange={(e) => {
+                          const story = stories.find(s => s.id === e.target.value);
+                          setAttaching({ ...attaching, storyId: story.id, pageId: story.pages[0].id });
+                        }}
+                        className={`${inputBg} w-full px-3 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+                      >
+                        {stories.filter(s => s.pages.length > 0).map(s => (
+                          <option key={s.id} value={s.id}>{s.title || 'Untitled Story'}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={attaching.pageId}
+                        onChange={(e) => setAttaching({ ...attaching, pageId: e.target.value })}
+                        className={`${inputBg} w-full px-3 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+                      >
+                        {attachingStory?.pages.map((p, index) => (
+                          <option key={p.id} value={p.id}>Page {index + 1}{p.drawing ? ' (has a drawing)' : ''}</option>
+                        ))}
+                      </select>
+                      <div className="flex gap-2">
+                        <button onClick={() => setAttaching(null)} className="flex-1 px-3 py-2 rounded bg-gray-300 hover:bg-gray-400 text-sm">
+                          Cancel
+                        </button>
+                        <button onClick={attachToPage} className={`flex-1 ${buttonBg} px-3 py-2 rounded text-sm font-semibold`}>
+                          Put on Page
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {notices}
+        </div>
+      </div>
+    );
+  }
+
+  if (!picture) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white rounded-xl shadow-2xl p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+          {header('🎨 Coloring Book')}
+
+          <div className="flex flex-wrap gap-2 mb-4">
+            {LINE_ART_THEMES.map(({ id, name, icon }) => (
+              <button
+                key={id}
+                onClick={() => setTheme(id)}
+                className={`px-4 py-2 rounded-lg font-semibold ${theme === id ? 'bg-[#8ED1FC]' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >
+                {icon} {name}
+              </button>
+            ))}
+            <button onClick={() => setShowGallery(true)} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold ml-auto`}>
+              🖼️ My Gallery ({gallery.length})
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {LINE_ART.filter(art => art.theme === theme).map(art => (
+              <button
+                key={art.id}
+                onClick={() => openPicture(art.id)}
+                className="border-2 border-gray-200 hover:border-[#FFB347] rounded-lg p-2 transition-all transform hover:scale-105"
+              >
+                <img src={lineArtUrl(art)} alt={art.name} className="w-full bg-white" />
+                <div className="font-semibold mt-2">{art.name}</div>
+              </button>
+            ))}
+          </div>
+          {notices}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        {header(`🎨 ${picture.name}`, closePicture)}
+
+        <div className="flex flex-wrap gap-2 mb-4 items-center">
+          {COLORING_PALETTE.map(color => (
+            <button
+              key={color}
+              onClick={() => setSelectedColor(color)}
+              className={`w-10 h-10 rounded-full border-4 ${selectedColor === color ? 'border-black' : 'border-gray-300'}`}
+              style={{ backgroundColor: color }}
+              title={color}
+            />
+          ))}
+          <input
+            type="color"
+            value={selectedColor}
+            onChange={(e) => setSelectedColor(e.target.value.toUpperCase())}
+            className="w-10 h-10 rounded cursor-pointer"
+            title="Mix your own color"
+          />
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            onClick={undo}
+            disabled={fills.length === 0}
+            className="p-2 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40"
+            title="Undo"
+          >
+            <Undo2 className="w-6 h-6" />
+          </button>
+          <button
+            onClick={() => setFills([])}
+            disabled={fills.length === 0}
+            className="px-4 py-2 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40"
+          >
+            Start Over
+          </button>
+          <button onClick={saveToGallery} disabled={!linesReady} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold ml-auto disabled:opacity-40`}>
+            <Save className="w-5 h-5 inline mr-1" />
+            Save to Gallery
+          </button>
+          <button onClick={() => setShowGallery(true)} className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 font-semibold">
+            🖼️ My Gallery
+          </button>
+        </div>
+
+        <canvas
+          ref={canvasRef}
+          width={LINE_ART_WIDTH}
+          height={LINE_ART_HEIGHT}
+          onClick={handleClick}
+          className="border-2 border-gray-300 rounded-lg w-full cursor-pointer"
+        />
+
+        <p className="text-sm mt-4 text-center">Tap inside a shape to fill it with color!</p>
+        {notices}
+      </div>
+    </div>
+  );
+};
+
+// Word Finder Component
+// Best times are kept on the profile under gameStats.wordFinder, one per level
+const FOUND_WORD_COLORS = ['bg-[#FFB347]', 'bg-[#8ED1FC]', 'bg-green-300', 'bg-pink-300', 'bg-purple-300', 'bg-yellow-300'];
+
+const WordFinder = ({ stories, profile, updateProfile, onClose, settings }) => {
+  const [level, setLevel] = useState('easy');
+  const [puzzle, setPuzzle] = useState(() => createWordSearch(pickWords(stories, 'easy'), 'easy'));
+  const [found, setFound] = useState([]);
+  const [selectionStart, setSelectionStart] = useState(null);
+  const [selectionEnd, setSelectionEnd] = useState(null);
+  const [startedAt, setStartedAt] = useState(() => Date.now());
+  const [seconds, setSeconds] = useState(0);
+  const [newBest, setNewBest] = useState(false);
+  const draggingRef = useRef(false);
+  const { speak } = useTTS(settings);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const bestTimes = profile.gameStats?.wordFinder?.bestTimes || {};
+  const isComplete = puzzle.placements.length > 0 && found.length === puzzle.placements.length;
+  const storyWordCount = collectStoryWords(stories, WORD_SEARCH_LEVELS[level].size).length;
+
+  useEffect(() => {
+    if (isComplete) return;
+    const timer = setInterval(() => setSeconds(Math.floor((Date.now() - startedAt) / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [startedAt, isComplete]);
+
+  const newPuzzle = (nextLevel = level) => {
+    setLevel(nextLevel);
+    setPuzzle(createWordSearch(pickWords(stories, nextLevel), nextLevel));
+    setFound([]);
+    setSelectionStart(null);
+    setSelectionEnd(null);
+    setStartedAt(Date.now());
+    setSeconds(0);
+    setNewBest(false);
+  };
+
+  const finishPuzzle = () => {
+    const total = Math.max(1, Math.round((Date.now() - startedAt) / 1000));
+    setSeconds(total);
+    if (bestTimes[level] && bestTimes[level] <= total) return;
+    setNewBest(true);
+    updateProfile(profile.id, {
+      gameStats: {
+        ...profile.gameStats,
+        wordFinder: { ...profile.gameStats?.wordFinder, bestTimes: { ...bestTimes, [level]: total } }
+      }
+    });
+  };
+
+  const selectedCells = selectionStart && selectionEnd ? getLineCells(selectionStart, selectionEnd) : null;
+
+  const checkSelection = (cells) => {
+    const placement = cells && findPlacement(puzzle.placements, cells);
+    if (!placement || found.includes(placement.word)) return false;
+    const nowFound = [...found, placement.word];
+    setFound(nowFound);
+    speak(placement.word.toLowerCase(), { rate: settings.ttsRate, pitch: settings.ttsPitch });
+    if (nowFound.length === puzzle.placements.length) finishPuzzle();
+    return true;
+  };
+
+  const cellFromPoint = (e) => {
+    const cell = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-cell]');
+    return cell ? cell.dataset.cell.split(',').map(Number) : null;
+  };
+
+  // Drag from the first letter to the last, or tap the first letter and then
+  // the last
+  const handlePointerDown = (e) => {
+    if (isComplete) return;
+    const cell = cellFromPoint(e);
+    if (!cell) return;
+    if (selectionStart && !draggingRef.current) {
+      checkSelection(getLineCells(selectionStart, cell));
+      setSelectionStart(null);
+      setSelectionEnd(null);
+      return;
+    }
+    draggingRef.current = true;
+    setSelectionStart(cell);
+    setSelectionEnd(cell);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draggingRef.current) return;
+    const cell = cellFromPoint(e);
+    if (cell && getLineCells(selectionStart, cell)) setSelectionEnd(cell);
+  };
+
+  const handlePointerUp = () => {
+    if (!draggingRef.current) return;
+    draggingRef.current = false;
+    const isTap = selectionStart[0] === selectionEnd[0] && selectionStart[1] === selectionEnd[1];
+    if (isTap) return;
+    checkSelection(selectedCells);
+    setSelectionStart(null);
+    setSelectionEnd(null);
+  };
+
+  const foundColor = (row, col) => {
+    const index = puzzle.placements.findIndex(({ word, cells }) =>
+      found.includes(word) && cells.some(([r, c]) => r === row && c === col)
+    );
+    return index === -1 ? null : FOUND_WORD_COLORS[index % FOUND_WORD_COLORS.length];
+  };
+
+  const isSelected = (row, col) => !!selectedCells?.some(([r, c]) => r === row && c === col);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-3xl font-bold">🔍 Word Finder</h2>
+        <button onClick={onClose} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
+          Back to Games
+        </button>
+      </div>
+
+      <div className={`${cardBg} p-4 rounded-xl shadow-lg flex flex-wrap gap-4 items-center justify-between`}>
+        <div className="flex gap-2">
+          {Object.entries(WORD_SEARCH_LEVELS).map(([id, { name }]) => (
+            <button
+              key={id}
+              onClick={() => newPuzzle(id)}
+              className={`px-4 py-2 rounded-lg font-semibold ${level === id ? 'bg-[#8ED1FC]' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-4 items-center font-semibold">
+          <span>⏱️ {formatTime(seconds)}</span>
+          <span className="opacity-75">🏆 Best: {bestTimes[level] ? formatTime(bestTimes[level]) : '—'}</span>
+          <button onClick={() => newPuzzle()} className={`${buttonBg} px-4 py-2 rounded-lg`}>
+            New Puzzle
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm opacity-75 text-center">
+        {level === 'easy' && 'Words go across and down.'}
+        {level === 'medium' && 'Words go across, down and on a slant.'}
+        {level === 'hard' && 'Words go every way, even backwards!'}
+        {storyWordCount < WORD_SEARCH_LEVELS[level].wordCount && ' Write more stories to hide more of your own words.'}
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-6">
+        <div className={`${cardBg} p-4 rounded-xl shadow-lg md:col-span-2`}>
+          <div
+            className="grid gap-1 select-none touch-none"
+            style={{ gridTemplateColumns: `repeat(${puzzle.size}, minmax(0, 1fr))` }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            {puzzle.grid.map((row, r) => row.map((letter, c) => (
+              <div
+                key={`${r},${c}`}
+                data-cell={`${r},${c}`}
+                className={`aspect-square flex items-center justify-center rounded font-bold text-lg cursor-pointer text-gray-800 ${
+                  isSelected(r, c) ? 'bg-yellow-200 ring-2 ring-yellow-500' : foundColor(r, c) || 'bg-white'
+                }`}
+              >
+                {letter}
+              </div>
+            )))}
+          </div>
+        </div>
+
+        <div className={`${cardBg} p-4 rounded-xl shadow-lg`}>
+          <h3 className="text-xl font-bold mb-3">Find These Words</h3>
+          <ul className="space-y-2">
+            {puzzle.placements.map(({ word }) => (
+              <li key={word} className="flex items-center justify-between">
+                <span className={`font-semibold tracking-wide ${found.includes(word) ? 'line-through opacity-50' : ''}`}>{word}</span>
+                {found.includes(word) && (
+                  <button
+                    onClick={() => speak(word.toLowerCase(), { rate: settings.ttsRate, pitch: settings.ttsPitch })}
+                    className="p-1 rounded hover:bg-gray-200"
+                    title="Hear it again"
+                  >
+                    <Volume2 className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <p className="text-sm mt-4 opacity-75">{found.length} of {puzzle.placements.length} found</p>
+        </div>
+      </div>
+
+      {isComplete && (
+        <div className={`${cardBg} p-6 rounded-xl shadow-lg text-center`}>
+          <div className="text-5xl mb-2">🎉</div>
+          <p className="text-2xl font-bold">You found every word in {formatTime(seconds)}!</p>
+          {newBest && <p className="text-lg mt-2">🏆 That's your best time on {WORD_SEARCH_LEVELS[level].name}!</p>}
+          <button onClick={() => newPuzzle()} className={`${buttonBg} px-6 py-3 rounded-lg font-semibold mt-4`}>
+            Play Again
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Memory Match Component
+// Pairs come from the emotions and stickers on the child's pages, topped up
+// with some favourites when there are not enough yet
+const MEMORY_STARTER_EMOJI = ['⭐', '❤️', '🌈', '🦄', '🐱', '🐶', '🌸', '🎈', '🚀', '🦋', '🍦', '🐢', '🌙', '🎁'];
+const MEMORY_MODES = {
+  emoji: { name: 'Emoji Pairs', description: 'Find two cards with the same emoji.' },
+  word: { name: 'Emoji & Word', description: 'Match each face to the feeling it shows.' },
+  picture: { name: 'Picture & Drawing', description: 'Match each drawing to the emoji from the same page.' }
+};
+const MEMORY_GRID_SIZES = [
+  { pairs: 4, columns: 4 },
+  { pairs: 6, columns: 4 },
+  { pairs: 8, columns: 4 },
+  { pairs: 10, columns: 5 },
+  { pairs: 12, columns: 6 }
+];
+// How long two cards that don't match stay face up
+const MEMORY_PEEK_MS = 1000;
+const MEMORY_CALM_PEEK_MS = 2000;
+
+// Each pair is two card faces: { kind: 'emoji' | 'word' | 'picture', content }
+const getMemoryPairs = (stories, mode) => {
+  const pages = stories.flatMap(story => story.pages);
+  const usedEmotions = [...new Set(pages.map(page => page.emotion).filter(Boolean))];
+
+  if (mode === 'word') {
+    const described = usedEmotions.filter(emoji => EMOTION_DESCRIPTIONS[emoji]);
+    const others = shuffle(Object.keys(EMOTION_DESCRIPTIONS).filter(emoji => !described.includes(emoji)));
+    return [...shuffle(described), ...others].map(emoji => [
+      { kind: 'emoji', content: emoji },
+      { kind: 'word', content: getEmotionDescription(emoji) }
+    ]);
+  }
+
+  if (mode === 'picture') {
+    // One page per emoji, so every drawing has only one match
+    const byEmoji = new Map();
+    pages.forEach(page => {
+      const picture = page.drawing || page.image;
+      const emoji = page.emotion || page.stickers?.[0]?.emoji;
+      if (picture && emoji && !byEmoji.has(emoji)) byEmoji.set(emoji, picture);
+    });
+    return shuffle([...byEmoji]).map(([emoji, picture]) => [
+      { kind: 'picture', content: picture },
+      { kind: 'emoji', content: emoji }
+    ]);
+  }
+
+  const usedStickers = pages.flatMap(page => (page.stickers || []).map(sticker => sticker.emoji));
+  const used = shuffle([...new Set([...usedEmotions, ...usedStickers])]);
+  const starters = shuffle(MEMORY_STARTER_EMOJI.filter(emoji => !used.includes(emoji)));
+  return [...used, ...starters].map(emoji => [
+    { kind: 'emoji', content: emoji },
+    { kind: 'emoji', content: emoji }
+  ]);
+};
+
+// The biggest grid up to pairCount that there are enough pairs for; empty
+// when there are too few for even the smallest
+const createMemoryDeck = (stories, mode, pairCount) => {
+  const pairs = getMemoryPairs(stories, mode);
+  const fitting = MEMORY_GRID_SIZES.filter(size => size.pairs <= pairs.length && size.pairs <= pairCount);
+  if (fitting.length === 0) return [];
+  return shuffle(pairs.slice(0, fitting[fitting.length - 1].pairs).flatMap((faces, pairId) =>
+    faces.map((face, side) => ({ ...face, id: `${pairId}-${side}`, pairId }))
+  ));
+};
+
+const MemoryMatch = ({ stories, onClose, settings }) => {
+  const [mode, setMode] = useState('emoji');
+  const [pairCount, setPairCount] = useState(6);
+  const [calmMode, setCalmMode] = useState(false);
+  const [deck, setDeck] = useState(() => createMemoryDeck(stories, 'emoji', 6));
+  const [flipped, setFlipped] = useState([]);
+  const [matched, setMatched] = useState([]);
+  const [moves, setMoves] = useState(0);
+  const [startedAt, setStartedAt] = useState(() => Date.now());
+  const [seconds, setSeconds] = useState(0);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
+  const availablePairs = useMemo(() => getMemoryPairs(stories, mode).length, [stories, mode]);
+  const gridSize = MEMORY_GRID_SIZES.find(size => size.pairs === deck.length / 2) || MEMORY_GRID_SIZES[0];
+  const isComplete = deck.length > 0 && matched.length === deck.length / 2;
+
+  const dealCards = (nextMode = mode, nextPairCount = pairCount) => {
+    setMode(nextMode);
+    setPairCount(nextPairCount);
+    setDeck(createMemoryDeck(stories, nextMode, nextPairCount));
+    setFlipped([]);
+    setMatched([]);
+    setMoves(0);
+    setStartedAt(Date.now());
+    setSeconds(0);
+  };
+
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (canvas) {
-      const ctx = canvas.getContext('2d');
-      ctx.fillStyle = 'white';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      
-      // Draw simple shapes to color
-      ctx.strokeStyle = 'black';
-      ctx.lineWidth = 3;
-      
-      // Circle
-      ctx.beginPath();
-      ctx.arc(150, 150, 80, 0, Math.PI * 2);
-      ctx.stroke();
-      
-      // Square
-      ctx.strokeRect(300, 100, 100, 100);
-      
-      // Triangle
-      ctx.beginPath();
-      ctx.moveTo(550, 200);
-      ctx.lineTo(500, 100);
-      ctx.lineTo(600, 100);
-      ctx.closePath();
-      ctx.stroke();
+    if (calmMode || isComplete) return;
+    const timer = setInterval(() => setSeconds(Math.floor((Date.now() - startedAt) / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [calmMode, isComplete, startedAt]);
+
+  // Two cards that don't match turn back over after a short look
+  useEffect(() => {
+    if (flipped.length !== 2) return;
+    const timer = setTimeout(() => setFlipped([]), calmMode ? MEMORY_CALM_PEEK_MS : MEMORY_PEEK_MS);
+    return () => clearTimeout(timer);
+  }, [flipped, calmMode]);
+
+  const flipCard = (card) => {
+    if (flipped.length === 2 || flipped.includes(card.id) || matched.includes(card.pairId)) return;
+    if (flipped.length === 0) {
+      setFlipped([card.id]);
+      return;
     }
-  }, []);
+    setMoves(m => m + 1);
+    const first = deck.find(c => c.id === flipped[0]);
+    if (first.pairId === card.pairId) {
+      setMatched([...matched, card.pairId]);
+      setFlipped([]);
+    } else {
+      setFlipped([flipped[0], card.id]);
+    }
+  };
 
-  const handleClick = (e) => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    ctx.fillStyle = selectedColor;
-    ctx.beginPath();
-    ctx.arc(x, y, 20, 0, Math.PI * 2);
-    ctx.fill();
+  const renderFace = (card) => {
+    if (card.kind === 'picture') {
+      return <img src={card.content} alt="A drawing from your story" className="w-full h-full object-contain bg-white rounded" />;
+    }
+    if (card.kind === 'word') {
+      return <span className="text-lg font-bold text-gray-800 text-center px-1">{card.content}</span>;
+    }
+    return <span className="text-4xl">{card.content}</span>;
   };
 
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-4xl w-full">
-        <div className="flex justify-between items-center mb-4">
-          <h3 className="text-2xl font-bold">🎨 Coloring Book</h3>
-          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
-        </div>
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-3xl font-bold">🧩 Memory Match</h2>
+        <button onClick={onClose} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
+          Back to Games
+        </button>
+      </div>
 
-        <div className="flex gap-4 mb-4">
-          {colors.map(color => (
+      <div className={`${cardBg} p-4 rounded-xl shadow-lg space-y-3`}>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(MEMORY_MODES).map(([id, { name }]) => (
             <button
-              key={color}
-              onClick={() => setSelectedColor(color)}
-              className={`w-12 h-12 rounded-full border-4 ${selectedColor === color ? 'border-black' : 'border-gray-300'}`}
-              style={{ backgroundColor: color }}
-            />
+              key={id}
+              onClick={() => dealCards(id)}
+              className={`px-4 py-2 rounded-lg font-semibold ${mode === id ? 'bg-[#8ED1FC]' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`}
+            >
+              {name}
+            </button>
           ))}
         </div>
+        <div className="flex flex-wrap gap-4 items-center">
+          <div className="flex items-center gap-2">
+            <span className="font-semibold">Cards:</span>
+            {MEMORY_GRID_SIZES.map(size => (
+              <button
+                key={size.pairs}
+                onClick={() => dealCards(mode, size.pairs)}
+                disabled={size.pairs > availablePairs}
+                className={`px-3 py-1 rounded-lg font-semibold disabled:opacity-40 ${gridSize.pairs === size.pairs && deck.length > 0 ? 'bg-[#8ED1FC]' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`}
+              >
+                {size.pairs * 2}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={calmMode} onChange={(e) => setCalmMode(e.target.checked)} className="w-5 h-5" />
+            <span className="font-semibold">🌙 Calm mode (no timer)</span>
+          </label>
+          <div className="flex gap-4 items-center font-semibold ml-auto">
+            <span>👆 {moves} moves</span>
+            {!calmMode && <span>⏱️ {formatTime(seconds)}</span>}
+            <button onClick={() => dealCards()} className={`${buttonBg} px-4 py-2 rounded-lg`}>
+              New Game
+            </button>
+          </div>
+        </div>
+        <p className="text-sm opacity-75">{MEMORY_MODES[mode].description}</p>
+      </div>
 
-        <canvas
-          ref={canvasRef}
-          width={700}
-          height={400}
-          onClick={handleClick}
-          className="border-2 border-gray-300 rounded-lg w-full cursor-pointer"
-        />
+      {deck.length === 0 ? (
+        <div className={`${cardBg} p-6 rounded-xl shadow-lg text-center`}>
+          <p className="text-lg">Add drawings or photos to at least {MEMORY_GRID_SIZES[0].pairs} pages, each with a different emotion or sticker, to play this one!</p>
+        </div>
+      ) : (
+        <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${gridSize.columns}, minmax(0, 1fr))` }}>
+          {deck.map(card => {
+            const isMatched = matched.includes(card.pairId);
+            const isFaceUp = isMatched || flipped.includes(card.id);
+            return (
+              <button
+                key={card.id}
+                onClick={() => flipCard(card)}
+                className={`aspect-square rounded-xl shadow-lg flex items-center justify-center p-2 transition-all ${
+                  isFaceUp ? (isMatched ? 'bg-green-100 ring-4 ring-green-400' : 'bg-white') : `${buttonBg} transform hover:scale-105`
+                }`}
+                aria-label={isFaceUp ? undefined : 'Face-down card'}
+              >
+                {isFaceUp ? renderFace(card) : <span className="text-4xl">❓</span>}
+              </button>
+            );
+          })}
+        </div>
+      )}
 
-        <p className="text-sm mt-4 text-center">Click on the shapes to color them!</p>
-      </div>
+      {isComplete && (
+        <div className={`${cardBg} p-6 rounded-xl shadow-lg text-center`}>
+          <div className="text-5xl mb-2">🎉</div>
+          <p className="text-2xl font-bold">
+            You matched them all in {moves} moves{calmMode ? '' : ` and ${formatTime(seconds)}`}!
+          </p>
+          <button onClick={() => dealCards()} className={`${buttonBg} px-6 py-3 rounded-lg font-semibold mt-4`}>
+            Play Again
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-// Sequencing Game Component  
-const SequencingGame = ({ stories, onClose, settings }) => {
+// Sequencing Game Component
+// Each check is recorded on the profile under gameStats.sequencing.attempts
+// for the progress dashboard
+const SEQUENCING_LEVELS = {
+  easy: { name: 'Easy', pageCount: 3 },
+  medium: { name: 'Medium', pageCount: 5 },
+  hard: { name: 'Hard', pageCount: null }
+};
+const SEQUENCING_HISTORY_LIMIT = 100;
+
+// Pages picked from anywhere in the story, in story order
+const pickSequencePages = (pages, level) => {
+  const count = Math.min(pages.length, SEQUENCING_LEVELS[level].pageCount || pages.length);
+  return shuffle(pages.map((_, i) => i))
+    .slice(0, count)
+    .sort((a, b) => a - b)
+    .map(i => pages[i]);
+};
+
+// Never hands out the pages already in the right order
+const shuffleSequence = (pages) => {
+  let shuffled = shuffle(pages);
+  while (pages.length > 1 && shuffled.every((page, i) => page === pages[i])) shuffled = shuffle(pages);
+  return shuffled;
+};
+
+const SequencingGame = ({ stories, profile, updateProfile, onClose, settings }) => {
   const [selectedStory, setSelectedStory] = useState(null);
-  const [shuffledPages, setShuffledPages] = useState([]);
+  const [level, setLevel] = useState('easy');
+  const [correctOrder, setCorrectOrder] = useState([]);
   const [userOrder, setUserOrder] = useState([]);
+  const [draggedIndex, setDraggedIndex] = useState(null);
   const [showResult, setShowResult] = useState(false);
+  const listRef = useRef(null);
 
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
   const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
 
   const storiesWithPages = stories.filter(s => s.pages && s.pages.length >= 3);
+  const correctCount = userOrder.filter((page, i) => page === correctOrder[i]).length;
+  const isPerfect = showResult && correctCount === correctOrder.length;
+
+  const startRound = (story, nextLevel = level) => {
+    const picked = pickSequencePages(story.pages, nextLevel);
+    setSelectedStory(story);
+    setLevel(nextLevel);
+    setCorrectOrder(picked);
+    setUserOrder(shuffleSequence(picked));
+    setShowResult(false);
+  };
 
-  useEffect(() => {
-    if (selectedStory) {
-      const pages = selectedStory.pages.slice(0, 5);
-      const shuffled = [...pages].sort(() => Math.random() - 0.5);
-      setShuffledPages(shuffled);
-      setUserOrder([]);
-      setShowResult(false);
-    }
-  }, [selectedStory]);
+  // Moving a card hides the marks from the last check
+  const moveCard = (from, to) => {
+    if (to < 0 || to >= userOrder.length || from === to) return;
+    const newOrder = [...userOrder];
+    const [page] = newOrder.splice(from, 1);
+    newOrder.splice(to, 0, page);
+    setUserOrder(newOrder);
+    setShowResult(false);
+  };
 
-  const addToOrder = (page) => {
-    if (!userOrder.includes(page)) {
-      setUserOrder([...userOrder, page]);
-    }
+  // Pointer events so dragging works with a finger as well as a mouse. The
+  // list captures the pointer and the card under it takes the dragged card's place.
+  const startDrag = (e, index) => {
+    setDraggedIndex(index);
+    listRef.current.setPointerCapture(e.pointerId);
   };
 
-  const removeFromOrder = (page) => {
-    setUserOrder(userOrder.filter(p => p !== page));
+  const handlePointerMove = (e) => {
+    if (draggedIndex === null) return;
+    const index = [...listRef.current.children].findIndex(card => {
+      const rect = card.getBoundingClientRect();
+      return e.clientY >= rect.top && e.clientY <= rect.bottom;
+    });
+    if (index === -1 || index === draggedIndex) return;
+    moveCard(draggedIndex, index);
+    setDraggedIndex(index);
   };
 
+  const endDrag = () => setDraggedIndex(null);
+
   const checkOrder = () => {
-    const correctOrder = selectedStory.pages.slice(0, 5);
-    const isCorrect = userOrder.every((page, index) => page.id === correctOrder[index].id);
     setShowResult(true);
-    if (isCorrect) {
-      alert('🎉 Perfect! You got the story in the right order!');
-    }
+    const attempt = {
+      date: new Date().toISOString(),
+      storyId: selectedStory.id,
+      storyTitle: selectedStory.title,
+      level,
+      pageCount: correctOrder.length,
+      correct: correctCount
+    };
+    const attempts = profile.gameStats?.sequencing?.attempts || [];
+    updateProfile(profile.id, {
+      gameStats: {
+        ...profile.gameStats,
+        sequencing: { ...profile.gameStats?.sequencing, attempts: [...attempts, attempt].slice(-SEQUENCING_HISTORY_LIMIT) }
+      }
+    });
   };
 
   if (!selectedStory) {
@@ -1966,13 +5380,25 @@ const SequencingGame = ({ stories, onClose, settings }) => {
         </div>
 
         <div className={`${cardBg} p-6 rounded-xl`}>
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className="font-semibold">How many pages:</span>
+            {Object.entries(SEQUENCING_LEVELS).map(([id, { name, pageCount }]) => (
+              <button
+                key={id}
+                onClick={() => setLevel(id)}
+                className={`px-4 py-2 rounded-lg font-semibold ${level === id ? 'bg-[#8ED1FC]' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`}
+              >
+                {name} ({pageCount || 'all'})
+              </button>
+            ))}
+          </div>
           <p className="text-lg mb-4">Choose a story to practice sequencing:</p>
           {storiesWithPages.length > 0 ? (
             <div className="space-y-2">
               {storiesWithPages.map(story => (
                 <button
                   key={story.id}
-                  onClick={() => setSelectedStory(story)}
+                  onClick={() => startRound(story)}
                   className={`${buttonBg} w-full p-4 rounded-lg text-left transition-all hover:scale-102`}
                 >
                   <span className="font-bold">{story.title}</span>
@@ -1989,7 +5415,7 @@ const SequencingGame = ({ stories, onClose, settings }) => {
   }
 
   return (
-    <div className="max-w-6xl mx-auto space-y-6">
+    <div className="max-w-4xl mx-auto space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold">Put "{selectedStory.title}" in Order</h2>
         <button onClick={() => setSelectedStory(null)} className={`${buttonBg} px-4 py-2 rounded-lg font-semibold`}>
@@ -1997,56 +5423,95 @@ const SequencingGame = ({ stories, onClose, settings }) => {
         </button>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <div>
-          <h3 className="text-xl font-bold mb-4">Available Pages (Click to Add)</h3>
-          <div className="space-y-2">
-            {shuffledPages.map((page, i) => (
-              <button
-                key={i}
-                onClick={() => addToOrder(page)}
-                disabled={userOrder.includes(page)}
-                className={`w-full p-4 rounded-lg text-left transition-all ${
-                  userOrder.includes(page) ? 'bg-gray-300 cursor-not-allowed' : `${cardBg} hover:shadow-lg`
-                }`}
+      <p className="opacity-75">Drag the cards by their handles (or use the arrows) so the story goes from top to bottom, then check your answer.</p>
+
+      <div
+        ref={listRef}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        className="space-y-2"
+      >
+        {userOrder.map((page, i) => {
+          const isRight = page === correctOrder[i];
+          const pictures = [page.image, page.drawing].filter(Boolean);
+          const emoji = [page.emotion, ...(page.stickers || []).map(sticker => sticker.emoji)].filter(Boolean).slice(0, 6);
+          return (
+            <div
+              key={page.id}
+              className={`${cardBg} p-4 rounded-xl shadow-md flex items-center gap-3 select-none transition-all ${
+                showResult ? (isRight ? 'ring-4 ring-green-400' : 'ring-4 ring-red-400') : ''
+              } ${draggedIndex === i ? 'opacity-50' : ''}`}
+            >
+              <span
+                onPointerDown={(e) => startDrag(e, i)}
+                className="p-2 -m-2 cursor-move touch-none flex-shrink-0"
+                title="Drag to move"
               >
+                <GripVertical className="w-6 h-6 opacity-50" />
+              </span>
+              <span className="font-bold text-xl w-6">{i + 1}.</span>
+              {pictures.length > 0 && (
+                <div className="flex gap-2 flex-shrink-0">
+                  {pictures.map((src, j) => <img key={j} src={src} alt="" className="h-16 w-16 object-contain bg-white rounded" />)}
+                </div>
+              )}
+              <div className="flex-1 min-w-0">
                 <p className="line-clamp-2">{page.text || 'Empty page'}</p>
-              </button>
-            ))}
-          </div>
-        </div>
-
-        <div>
-          <h3 className="text-xl font-bold mb-4">Your Order (Click to Remove)</h3>
-          <div className="space-y-2 mb-4">
-            {userOrder.length === 0 ? (
-              <div className={`${cardBg} p-8 rounded-lg text-center`}>
-                <p className="text-gray-500">Click pages on the left to add them here</p>
+                {emoji.length > 0 && <div className="text-2xl mt-1">{emoji.join(' ')}</div>}
               </div>
-            ) : (
-              userOrder.map((page, i) => (
+              {showResult && <span className="text-2xl" title={isRight ? 'Right place' : 'Not here'}>{isRight ? '✅' : '❌'}</span>}
+              <div className="flex flex-col gap-1">
                 <button
-                  key={i}
-                  onClick={() => removeFromOrder(page)}
-                  className={`w-full p-4 rounded-lg text-left ${cardBg} hover:bg-red-100 transition-all`}
+                  onClick={() => moveCard(i, i - 1)}
+                  disabled={i === 0}
+                  className="p-1 rounded bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-30"
+                  title="Move up"
                 >
-                  <span className="font-bold mr-2">{i + 1}.</span>
-                  <p className="inline line-clamp-2">{page.text || 'Empty page'}</p>
+                  <ArrowUp className="w-4 h-4" />
                 </button>
-              ))
-            )}
-          </div>
+                <button
+                  onClick={() => moveCard(i, i + 1)}
+                  disabled={i === userOrder.length - 1}
+                  className="p-1 rounded bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
 
-          {userOrder.length === shuffledPages.length && (
-            <button
-              onClick={checkOrder}
-              className={`${buttonBg} w-full py-4 rounded-lg font-bold text-lg transition-all transform hover:scale-105`}
-            >
-              Check My Answer!
-            </button>
+      {showResult && (
+        <div className={`${cardBg} p-4 rounded-xl text-center`}>
+          {isPerfect ? (
+            <p className="text-2xl font-bold">🎉 Perfect! You got the story in the right order!</p>
+          ) : (
+            <p className="text-lg font-semibold">
+              {correctCount} of {correctOrder.length} pages are in the right place. Move the ❌ cards and try again!
+            </p>
           )}
         </div>
-      </div>
+      )}
+
+      {isPerfect ? (
+        <button
+          onClick={() => startRound(selectedStory)}
+          className={`${buttonBg} w-full py-4 rounded-lg font-bold text-lg transition-all transform hover:scale-105`}
+        >
+          Play Again
+        </button>
+      ) : (
+        <button
+          onClick={checkOrder}
+          disabled={showResult}
+          className={`${buttonBg} w-full py-4 rounded-lg font-bold text-lg transition-all transform hover:scale-105 disabled:opacity-50 disabled:transform-none`}
+        >
+          Check My Answer!
+        </button>
+      )}
     </div>
   );
 };
@@ -2239,10 +5704,43 @@ const SettingsView = ({ settings, setSettings, setView }) => {
               </button>
             </div>
 
+            <div className="flex justify-between items-center">
+              <div>
+                <p className="font-semibold">Automatic Story Snapshots</p>
+                <p className="text-sm opacity-75">Save a version to Story History you can go back to</p>
+              </div>
+              <select
+                value={settings.autoSnapshots}
+                onChange={(e) => updateSetting('autoSnapshots', e.target.value)}
+                className="px-4 py-2 rounded-lg border-2 border-[#8ED1FC] bg-white text-[#333333]"
+              >
+                <option value="session">Every editing session</option>
+                <option value="daily">Once a day</option>
+                <option value="off">Off</option>
+              </select>
+            </div>
+
+            <div className="flex justify-between items-center">
+              <div>
+                <p className="font-semibold">Empty Trash Automatically</p>
+                <p className="text-sm opacity-75">Deleted stories and pages are removed for good after this time</p>
+              </div>
+              <select
+                value={settings.trashRetentionDays}
+                onChange={(e) => updateSetting('trashRetentionDays', Number(e.target.value))}
+                className="px-4 py-2 rounded-lg border-2 border-[#8ED1FC] bg-white text-[#333333]"
+              >
+                <option value={7}>After 7 days</option>
+                <option value={30}>After 30 days</option>
+                <option value={90}>After 90 days</option>
+                <option value={0}>Never</option>
+              </select>
+            </div>
+
             <div className="flex justify-between items-center">
               <div>
                 <p className="font-semibold">Parental Controls</p>
-                <p className="text-sm opacity-75">Hide delete buttons</p>
+                <p className="text-sm opacity-75">Hide delete buttons and ask a grown-up before emptying the trash</p>
               </div>
               <button
                 onClick={() => toggleSetting('parentalControls')}
@@ -2273,8 +5771,291 @@ const SettingsView = ({ settings, setSettings, setView }) => {
   );
 };
 
+// Backup Dialog Component
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const BackupDialog = ({ exportAllStories, onClose, settings }) => {
+  const [protect, setProtect] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const problem = !protect ? null
+    : passphrase.length < MIN_PASSPHRASE_LENGTH ? `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`
+    : passphrase !== confirmation ? 'The passphrases do not match.'
+    : null;
+
+  const download = async (e) => {
+    e.preventDefault();
+    if (problem) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      await exportAllStories(protect ? passphrase : null);
+      onClose();
+    } catch (err) {
+      console.error('Failed to create backup:', err);
+      setError(err.message);
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={download} className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-md w-full`}>
+        <h3 className="text-2xl font-bold mb-4">💾 Backup All Stories</h3>
+
+        <label className="flex items-center gap-3 mb-2 cursor-pointer">
+          <input type="radio" checked={!protect} onChange={() => setProtect(false)} />
+          <span className="font-semibold">Plain backup</span>
+        </label>
+        <label className="flex items-center gap-3 mb-4 cursor-pointer">
+          <input type="radio" checked={protect} onChange={() => setProtect(true)} />
+          <span className="font-semibold">
+            <Lock className="w-4 h-4 inline mr-1" />
+            Protect with a passphrase
+          </span>
+        </label>
+
+        {protect && (
+          <div className="space-y-3 mb-4">
+            <p className="text-sm opacity-75">
+              The backup can only be opened with this passphrase. It cannot be recovered if you forget it.
+            </p>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              autoComplete="new-password"
+              className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+              autoFocus
+            />
+            <input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder="Type it again"
+              autoComplete="new-password"
+              className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+            />
+            {passphrase && problem && <p className="text-sm text-red-600">{problem}</p>}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-4">⚠️ {error}</p>}
+
+        <div className="flex gap-4 justify-end">
+          <button type="button" onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button type="submit" disabled={!!problem || isWorking} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            {isWorking ? 'Encrypting...' : 'Download'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Passphrase Prompt Component
+// Shown when an imported file is a protected backup
+const PassphrasePrompt = ({ fileName, onUnlock, onCancel, settings }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const inputBg = settings.theme === 'dark' ? 'bg-gray-700 text-gray-100' : 'bg-white text-[#333333]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setPassphrase('');
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={unlock} className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-md w-full text-center`}>
+        <Lock className="w-12 h-12 mx-auto mb-2" />
+        <h3 className="text-2xl font-bold mb-2">Protected Backup</h3>
+        <p className="mb-4">Enter the passphrase for <span className="font-semibold">{fileName}</span>.</p>
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoComplete="current-password"
+          className={`${inputBg} w-full px-4 py-2 rounded-lg border-2 border-[#8ED1FC] focus:outline-none`}
+          autoFocus
+        />
+        {error && <p className="text-red-600 text-sm mt-2">⚠️ {error}</p>}
+        <div className="flex gap-4 mt-6 justify-center">
+          <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button type="submit" disabled={!passphrase || isWorking} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50`}>
+            {isWorking ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Import Dialog Component
+const ImportDialog = ({ pendingImport, onConfirm, onCancel, settings }) => {
+  const { fileName, stories, settings: importedSettings, matches } = pendingImport;
+  const [choices, setChoices] = useState(() => matches.map(match => match ? 'skip' : 'import'));
+  const [restoreSettings, setRestoreSettings] = useState(false);
+
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const itemBg = settings.theme === 'dark' ? 'bg-gray-700' : 'bg-white';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  const setChoice = (index, choice) => {
+    setChoices(choices.map((c, i) => i === index ? choice : c));
+  };
+
+  const importCount = choices.filter(c => c !== 'skip').length;
+
+  const duplicateOptions = [
+    { value: 'skip', label: 'Skip' },
+    { value: 'replace', label: 'Replace mine' },
+    { value: 'keepBoth', label: 'Keep both' }
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-3xl w-full`}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-2xl font-bold">📥 Import Stories</h3>
+          <button onClick={onCancel} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
+        </div>
+        <p className="text-sm opacity-75 mb-4">
+          {stories.length} {stories.length === 1 ? 'story' : 'stories'} found in {fileName}
+        </p>
+
+        <div className="max-h-96 overflow-y-auto space-y-3 mb-4">
+          {stories.map((story, i) => {
+            const match = matches[i];
+            return (
+              <div key={i} className={`${itemBg} p-4 rounded-lg shadow`}>
+                <div className="flex justify-between items-start gap-4 flex-wrap">
+                  <div>
+                    <p className="font-bold text-lg">{story.title}</p>
+                    <p className="text-sm opacity-75">📄 {story.pages.length} pages · 📝 {story.wordCount} words</p>
+                    {match && (
+                      <p className="text-sm text-orange-600 font-semibold mt-1">
+                        ⚠️ Already in your library as "{match.story.title}" ({match.reason})
+                      </p>
+                    )}
+                  </div>
+
+                  {match ? (
+                    <div className="flex gap-1">
+                      {duplicateOptions.map(option => (
+                        <button
+                          key={option.value}
+                          onClick={() => setChoice(i, option.value)}
+                          className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all ${choices[i] === option.value ? 'bg-[#8ED1FC] text-[#333333]' : 'bg-gray-200 text-[#333333]'}`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <label className="flex items-center gap-2 font-semibold">
+                      <input
+                        type="checkbox"
+                        checked={choices[i] === 'import'}
+                        onChange={(e) => setChoice(i, e.target.checked ? 'import' : 'skip')}
+                        className="w-5 h-5"
+                      />
+                      Import
+                    </label>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {importedSettings && (
+          <label className="flex items-center gap-2 mb-4">
+            <input
+              type="checkbox"
+              checked={restoreSettings}
+              onChange={(e) => setRestoreSettings(e.target.checked)}
+              className="w-5 h-5"
+            />
+            <span>Also restore the settings saved in this backup (replaces your current settings)</span>
+          </label>
+        )}
+
+        <div className="flex gap-4 justify-end">
+          <button onClick={onCancel} className="px-6 py-2 rounded-lg bg-gray-300 hover:bg-gray-400 text-[#333333]">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(choices, restoreSettings)}
+            disabled={importCount === 0 && !restoreSettings}
+            className={`${buttonBg} px-6 py-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            Import {importCount} {importCount === 1 ? 'story' : 'stories'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Import Error Report Component
+const ImportErrorReport = ({ errors, onClose, settings }) => {
+  const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
+  const buttonBg = settings.theme === 'dark' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-[#FFB347] hover:bg-[#FFD580]';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className={`${cardBg} rounded-xl shadow-2xl p-6 max-w-2xl w-full`}>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-2xl font-bold">⚠️ This file couldn't be imported</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">✕</button>
+        </div>
+        <p className="mb-4">Nothing was changed. Here is what needs fixing in the file:</p>
+        <ul className="max-h-80 overflow-y-auto space-y-2 mb-6">
+          {errors.map((error, i) => (
+            <li key={i} className="bg-red-100 text-red-800 px-4 py-2 rounded-lg text-sm">
+              <code className="font-bold">{error.path}</code>: {error.message}
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-end">
+          <button onClick={onClose} className={`${buttonBg} px-6 py-2 rounded-lg font-semibold`}>
+            OK
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Rewards Modal Component
-const RewardsModal = ({ onClose, settings, rewardType, story }) => {
+const RewardsModal = ({ onClose, settings, rewardType, story, authorName }) => {
   const cardBg = settings.theme === 'dark' ? 'bg-gray-800' : 'bg-[#FFF8DC]';
 
   if (rewardType === 'certificate') {
@@ -2285,7 +6066,7 @@ const RewardsModal = ({ onClose, settings, rewardType, story }) => {
             <div className="text-6xl mb-4">🏆</div>
             <h2 className="text-4xl font-bold mb-4 text-yellow-800">Certificate of Achievement</h2>
             <p className="text-2xl mb-2">This certifies that</p>
-            <p className="text-3xl font-bold mb-4 text-purple-800">Amazing Author</p>
+            <p className="text-3xl font-bold mb-4 text-purple-800">{authorName || 'Amazing Author'}</p>
             <p className="text-xl mb-2">has successfully completed</p>
             <p className="text-2xl font-bold mb-4 text-blue-800">"{story?.title}"</p>
             <p className="text-lg mb-6">with {story?.pages?.length} pages and {story?.wordCount} words!</p>
@@ -0,0 +1,139 @@
+// Passphrase-protected backups
+// The backup JSON is encrypted with AES-GCM using a key derived from the
+// passphrase with PBKDF2. A small known value is encrypted alongside it so a
+// wrong passphrase can be told apart from a file that was changed or damaged.
+
+const FORMAT = 'story-creator-encrypted-backup';
+const VERSION = 1;
+const ITERATIONS = 250000;
+// Anything far above what we write would freeze the tab while the key is derived
+const MAX_ITERATIONS = ITERATIONS * 10;
+const KEY_CHECK = 'story-creator-key-check';
+
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super("That passphrase doesn't unlock this backup.");
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+export class DamagedBackupError extends Error {
+  constructor() {
+    super('This backup file has been changed or damaged, so it cannot be opened.');
+    this.name = 'DamagedBackupError';
+  }
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  // Chunked so large drawings don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  if (typeof text !== 'string') throw new DamagedBackupError();
+  try {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  } catch {
+    throw new DamagedBackupError();
+  }
+};
+
+const getSubtle = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Encrypted backups need a secure (https) connection.');
+  }
+  return globalThis.crypto.subtle;
+};
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// The format and version are authenticated too, so they can't be swapped out
+const additionalData = encoder.encode(`${FORMAT}:${VERSION}`);
+
+const encrypt = async (key, bytes) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const data = await getSubtle().encrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes);
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Reads an { iv, data } pair written by encrypt, or throws DamagedBackupError
+const readSealed = (sealed) => {
+  if (!sealed || typeof sealed !== 'object') throw new DamagedBackupError();
+  const iv = fromBase64(sealed.iv);
+  const data = fromBase64(sealed.data);
+  if (iv.length !== IV_LENGTH || data.length < TAG_LENGTH) throw new DamagedBackupError();
+  return { iv, data };
+};
+
+const decrypt = async (key, { iv, data }) => {
+  const plain = await getSubtle().decrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+  return decoder.decode(plain);
+};
+
+export const isEncryptedBackup = (data) => data?.format === FORMAT;
+
+// Returns the encrypted backup as a plain object ready for JSON.stringify
+export const encryptBackup = async (text, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, ITERATIONS);
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(salt) },
+    keyCheck: await encrypt(key, encoder.encode(KEY_CHECK)),
+    payload: await encrypt(key, encoder.encode(text))
+  };
+};
+
+// Returns the backup's original text, or throws WrongPassphraseError or DamagedBackupError
+export const decryptBackup = async (backup, passphrase) => {
+  const { version, kdf, keyCheck, payload } = backup;
+  if (Number.isInteger(version) && version > VERSION) {
+    throw new Error(`This backup was made by a newer version of Story Creator (format ${version}).`);
+  }
+  if (version !== VERSION) throw new DamagedBackupError();
+  if (!kdf || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+    throw new DamagedBackupError();
+  }
+  // Checked up front so a broken file isn't blamed on the passphrase
+  const sealedCheck = readSealed(keyCheck);
+  const sealedPayload = readSealed(payload);
+
+  const key = await deriveKey(passphrase, fromBase64(kdf.salt), kdf.iterations);
+
+  let check;
+  try {
+    check = await decrypt(key, sealedCheck);
+  } catch {
+    throw new WrongPassphraseError();
+  }
+  if (check !== KEY_CHECK) throw new WrongPassphraseError();
+
+  try {
+    return await decrypt(key, sealedPayload);
+  } catch {
+    throw new DamagedBackupError();
+  }
+};
@@ -0,0 +1,213 @@
+// Book Rendering
+// Draws story pages onto canvases for the book exports. The colours match the
+// Tailwind gradients that Preview uses for each page background.
+
+export const PAGE_BACKGROUNDS = {
+  default: { from: '#ffffff', to: '#ffffff', text: '#333333' },
+  sky: { from: '#93c5fd', to: '#dbeafe', text: '#333333' },
+  forest: { from: '#4ade80', to: '#bbf7d0', text: '#333333' },
+  space: { from: '#581c87', to: '#000000', text: '#ffffff' },
+  sunset: { from: '#fb923c', to: '#f9a8d4', text: '#333333' },
+  ocean: { from: '#3b82f6', to: '#5eead4', text: '#333333' }
+};
+
+export const getPageBackground = (background) => PAGE_BACKGROUNDS[background] || PAGE_BACKGROUNDS.default;
+
+const FONT_FAMILY = '"Comic Sans MS", "Chalkboard SE", Arial, sans-serif';
+export const EMOJI_FONT = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not load a picture for this page'));
+  img.src = src;
+});
+
+export const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const fillBackground = (ctx, width, height, background) => {
+  const colors = getPageBackground(background);
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, colors.from);
+  gradient.addColorStop(1, colors.to);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+  return colors;
+};
+
+// Fits an image inside the box, keeping its proportions, centred
+export const drawImageContained = (ctx, img, x, y, width, height) => {
+  const scale = Math.min(width / img.width, height / img.height);
+  const w = img.width * scale;
+  const h = img.height * scale;
+  ctx.drawImage(img, x + (width - w) / 2, y + (height - h) / 2, w, h);
+};
+
+const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Shrinks the font until the wrapped text fits the box, then draws it centred
+export const drawTextBlock = (ctx, text, { x, y, width, height, fontSize, color, weight = 'normal' }) => {
+  let size = fontSize;
+  let lines;
+  do {
+    ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+    lines = wrapText(ctx, text, width);
+    if (lines.length * size * 1.4 <= height) break;
+    size = Math.floor(size * 0.9);
+  } while (size > 10);
+
+  const lineHeight = size * 1.4;
+  const top = y + (height - lines.length * lineHeight) / 2 + lineHeight / 2;
+  ctx.fillStyle = color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, i) => ctx.fillText(line, x + width / 2, top + i * lineHeight));
+};
+
+// A scale 1 sticker is this fraction of the page's width
+export const STICKER_SIZE = 0.08;
+
+// Bottom layer first
+export const getLayeredStickers = (page) => [...(page.stickers || [])].sort((a, b) => a.z - b.z);
+
+const drawSticker = (ctx, sticker, width, height) => {
+  ctx.save();
+  ctx.translate(sticker.x * width, sticker.y * height);
+  ctx.rotate(sticker.rotation * Math.PI / 180);
+  ctx.font = `${width * STICKER_SIZE * sticker.scale}px ${EMOJI_FONT}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(sticker.emoji, 0, 0);
+  ctx.restore();
+};
+
+const drawEmoji = (ctx, emoji, x, y, size, align = 'left') => {
+  ctx.font = `${size}px ${EMOJI_FONT}`;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  ctx.fillText(emoji, x, y);
+};
+
+// The photo first, then the drawing
+export const getPagePictures = (page) => [page.image, page.drawing].filter(Boolean);
+
+// One story page: emotion top right, picture, then text, with the stickers
+// placed on top where they were put in the editor
+export const renderStoryPage = async (page, { width, height, pageNumber }) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const unit = Math.min(width, height) / 100;
+  const colors = fillBackground(ctx, width, height, page.background);
+
+  const margin = unit * 6;
+  const headerHeight = unit * 10;
+
+  if (page.emotion) {
+    drawEmoji(ctx, page.emotion, width - margin, margin, unit * 9, 'right');
+  }
+
+  const pictures = getPagePictures(page);
+  const contentTop = margin + headerHeight;
+  const contentHeight = height - contentTop - margin - unit * 6;
+  const pictureHeight = pictures.length > 0 ? contentHeight * (page.text?.trim() ? 0.6 : 1) : 0;
+
+  // A photo and a drawing sit side by side
+  const slotWidth = (width - margin * 2) / Math.max(1, pictures.length);
+  for (const [i, picture] of pictures.entries()) {
+    const img = await loadImage(picture);
+    drawImageContained(ctx, img, margin + i * slotWidth + unit, contentTop, slotWidth - unit * 2, pictureHeight - unit * 2);
+  }
+
+  if (page.text?.trim()) {
+    drawTextBlock(ctx, page.text.trim(), {
+      x: margin,
+      y: contentTop + pictureHeight,
+      width: width - margin * 2,
+      height: contentHeight - pictureHeight,
+      fontSize: unit * 5,
+      color: colors.text
+    });
+  }
+
+  getLayeredStickers(page).forEach(sticker => drawSticker(ctx, sticker, width, height));
+
+  if (pageNumber) {
+    ctx.font = `bold ${unit * 3}px ${FONT_FAMILY}`;
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(String(pageNumber), width / 2, height - unit * 3);
+  }
+
+  return canvas;
+};
+
+// The cover uses the first page's background and the first picture in the story
+export const renderCover = async (story, { width, height, authorName }) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const unit = Math.min(width, height) / 100;
+  const firstPage = story.pages[0];
+  const colors = fillBackground(ctx, width, height, firstPage?.background === 'default' ? 'sunset' : firstPage?.background);
+  const margin = unit * 8;
+
+  drawTextBlock(ctx, story.title, {
+    x: margin,
+    y: margin,
+    width: width - margin * 2,
+    height: height * 0.25,
+    fontSize: unit * 10,
+    color: colors.text,
+    weight: 'bold'
+  });
+
+  const cover = story.pages.map(getPagePictures).find(pictures => pictures.length > 0)?.[0];
+  if (cover) {
+    const img = await loadImage(cover);
+    drawImageContained(ctx, img, margin, margin + height * 0.27, width - margin * 2, height * 0.45);
+  } else {
+    const emoji = story.pages.flatMap(p => p.stickers || [])[0]?.emoji || '📖';
+    ctx.font = `${unit * 30}px ${EMOJI_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(emoji, width / 2, height / 2);
+  }
+
+  if (authorName) {
+    drawTextBlock(ctx, `by ${authorName}`, {
+      x: margin,
+      y: height - margin - height * 0.12,
+      width: width - margin * 2,
+      height: height * 0.12,
+      fontSize: unit * 6,
+      color: colors.text
+    });
+  }
+
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the picture'))), type, quality);
+});
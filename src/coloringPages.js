@@ -0,0 +1,154 @@
+// Coloring Pages
+// Turns a story's drawings into black line art on white: the picture is
+// flattened to greyscale, a Sobel filter finds the edges between strokes and
+// colours, and every edge stronger than the threshold becomes a black line.
+// Pages without a drawing or photo use their stickers and emotion as the picture.
+
+import { createCanvas, loadImage, drawImageContained, drawTextBlock, EMOJI_FONT } from './bookRender';
+import { createPdf, canvasToPdfImage, getPdfPageSize, getPdfPixelSize } from './pdf';
+
+export const DEFAULT_LINE_THRESHOLD = 80;
+
+const toGreyscale = (data, length) => {
+  const grey = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const p = i * 4;
+    // Transparent pixels count as the white paper underneath
+    const alpha = data[p + 3] / 255;
+    const luminance = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    grey[i] = luminance * alpha + 255 * (1 - alpha);
+  }
+  return grey;
+};
+
+// Replaces the canvas contents with its edges as black lines
+export const traceLineArt = (canvas, threshold = DEFAULT_LINE_THRESHOLD) => {
+  const { width, height } = canvas;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.getImageData(0, 0, width, height);
+  const grey = toGreyscale(image.data, width * height);
+  const out = image.data;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let ink = false;
+      if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+        const i = y * width + x;
+        const gx = grey[i - width + 1] + 2 * grey[i + 1] + grey[i + width + 1]
+          - grey[i - width - 1] - 2 * grey[i - 1] - grey[i + width - 1];
+        const gy = grey[i + width - 1] + 2 * grey[i + width] + grey[i + width + 1]
+          - grey[i - width - 1] - 2 * grey[i - width] - grey[i - width + 1];
+        ink = Math.sqrt(gx * gx + gy * gy) > threshold;
+      }
+      const p = (y * width + x) * 4;
+      const value = ink ? 0 : 255;
+      out[p] = value;
+      out[p + 1] = value;
+      out[p + 2] = value;
+      out[p + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
+
+const pictureForPage = async (page, width, height) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  // A drawing traces more cleanly than a photo, so it wins when there are both
+  const picture = page.drawing || page.image;
+  if (picture) {
+    drawImageContained(ctx, await loadImage(picture), 0, 0, width, height);
+    return canvas;
+  }
+
+  const emoji = [...(page.stickers || []).map(sticker => sticker.emoji), page.emotion].filter(Boolean).slice(0, 4);
+  if (emoji.length === 0) return null;
+  const size = Math.min(height * 0.6, width / emoji.length * 0.8);
+  ctx.font = `${size}px ${EMOJI_FONT}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  emoji.forEach((e, i) => ctx.fillText(e, width * (i + 0.5) / emoji.length, height / 2));
+  return canvas;
+};
+
+// One sheet: the traced picture with the page text underneath as a caption
+export const renderColoringPage = async (page, { width, height, threshold }) => {
+  const margin = Math.round(width * 0.06);
+  const pictureWidth = width - margin * 2;
+  const pictureHeight = Math.round(height * 0.7);
+
+  const picture = await pictureForPage(page, pictureWidth, pictureHeight);
+  if (!picture) return null;
+  traceLineArt(picture, threshold);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(picture, margin, margin);
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = Math.max(2, width / 400);
+  ctx.strokeRect(margin, margin, pictureWidth, pictureHeight);
+
+  if (page.text?.trim()) {
+    drawTextBlock(ctx, page.text.trim(), {
+      x: margin,
+      y: margin * 1.5 + pictureHeight,
+      width: pictureWidth,
+      height: height - pictureHeight - margin * 2.5,
+      fontSize: width / 28,
+      color: '#000000'
+    });
+  }
+
+  return canvas;
+};
+
+const renderTitleSheet = (story, { width, height }) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  const margin = width * 0.1;
+
+  drawTextBlock(ctx, story.title, {
+    x: margin, y: height * 0.25, width: width - margin * 2, height: height * 0.25,
+    fontSize: width / 10, color: '#000000', weight: 'bold'
+  });
+  drawTextBlock(ctx, 'Coloring Book', {
+    x: margin, y: height * 0.5, width: width - margin * 2, height: height * 0.1,
+    fontSize: width / 16, color: '#000000'
+  });
+  drawTextBlock(ctx, 'Colored by: ____________________', {
+    x: margin, y: height * 0.75, width: width - margin * 2, height: height * 0.1,
+    fontSize: width / 24, color: '#000000'
+  });
+  return canvas;
+};
+
+// Returns the title sheet followed by a sheet for every page that has a picture
+export const createColoringBook = async (story, { size = 'letter', threshold = DEFAULT_LINE_THRESHOLD, onProgress } = {}) => {
+  const pageSize = getPdfPageSize(size, 'portrait');
+  const { pixelWidth: width, pixelHeight: height } = getPdfPixelSize(pageSize);
+
+  const sheets = [renderTitleSheet(story, { width, height })];
+  for (const [i, page] of story.pages.entries()) {
+    const sheet = await renderColoringPage(page, { width, height, threshold });
+    if (sheet) sheets.push(sheet);
+    onProgress?.(i + 1, story.pages.length);
+  }
+  return { sheets, pageSize };
+};
+
+export const coloringBookToPdf = async (story, { sheets, pageSize }) => {
+  const images = [];
+  for (const sheet of sheets) {
+    images.push(await canvasToPdfImage(sheet));
+  }
+  return createPdf({ images, width: pageSize.width, height: pageSize.height, title: `${story.title} - Coloring Book` });
+};
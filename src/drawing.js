@@ -0,0 +1,187 @@
+// Drawings
+// A page's drawing is kept as the list of strokes that made it, so it can be
+// reopened, continued and undone stroke by stroke. page.drawing holds the same
+// picture flattened to a PNG for showing and exporting; page.drawingStrokes
+// holds { width, height, background, strokes }. background is an older
+// flattened picture the strokes were drawn over, or null.
+//
+// Strokes go on one of two layers over white paper. The background layer
+// starts with the older picture; the eraser only takes ink off the layer it is
+// used on. Strokes saved before layers existed have no layer and sit on the
+// background layer, and their eraser strokes still paint white.
+
+import { createCanvas, EMOJI_FONT } from './bookRender';
+import { floodFill } from './floodFill';
+
+export const DRAWING_WIDTH = 800;
+export const DRAWING_HEIGHT = 400;
+
+export const DRAWING_LAYERS = [
+  { id: 'background', name: 'Background' },
+  { id: 'foreground', name: 'Front' }
+];
+
+const ERASER_WIDTH_FACTOR = 3;
+const TEXT_FONT = '"Comic Sans MS", "Chalkboard SE", Arial, sans-serif';
+
+export const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse'];
+export const FREEHAND_TOOLS = ['pen', 'eraser'];
+
+export const createDrawingData = (background = null) => ({
+  width: DRAWING_WIDTH,
+  height: DRAWING_HEIGHT,
+  background,
+  strokes: []
+});
+
+// Points are [x, y], or [x, y, pressure] for stylus strokes, rounded to keep
+// the stored list small
+export const roundPoint = (x, y, pressure) => {
+  const point = [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+  if (pressure !== undefined) point.push(Math.round(pressure * 100) / 100);
+  return point;
+};
+
+// Half pressure draws at the chosen brush size; a light touch is thinner and
+// pressing hard is up to twice as thick
+const pressureFactor = (pressure) => 0.25 + Math.min(1, Math.max(0, pressure)) * 1.5;
+
+const pointWidth = (point, width) => (point.length > 2 ? width * pressureFactor(point[2]) : width);
+
+// Stamps and text grow with the brush size
+export const stampFontSize = (size) => 24 + size * 6;
+export const textFontSize = (size) => 16 + size * 4;
+
+const strokeLayer = (stroke) => stroke.layer || 'background';
+
+const isLegacyEraser = (stroke) => stroke.tool === 'eraser' && !stroke.layer;
+
+// Draws the segment of a freehand stroke from point `from` onwards, so strokes
+// can be shown as they are drawn without repainting the whole picture
+export const drawStrokeSegment = (ctx, stroke, from = 0) => {
+  const { points } = stroke;
+  if (points.length === 0) return;
+  const isEraser = stroke.tool === 'eraser';
+  const color = isEraser ? '#ffffff' : stroke.color;
+  const width = isEraser ? stroke.size * ERASER_WIDTH_FACTOR : stroke.size;
+
+  ctx.save();
+  if (isEraser && !isLegacyEraser(stroke)) ctx.globalCompositeOperation = 'destination-out';
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  const start = Math.max(0, from - 1);
+  if (points.length === 1) {
+    // A single tap leaves a dot
+    ctx.beginPath();
+    ctx.arc(points[0][0], points[0][1], pointWidth(points[0], width) / 2, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (points[start].length > 2) {
+    // Stylus strokes change width along the way, one segment at a time
+    for (let i = start + 1; i < points.length; i++) {
+      ctx.lineWidth = (pointWidth(points[i - 1], width) + pointWidth(points[i], width)) / 2;
+      ctx.beginPath();
+      ctx.moveTo(points[i - 1][0], points[i - 1][1]);
+      ctx.lineTo(points[i][0], points[i][1]);
+      ctx.stroke();
+    }
+  } else {
+    ctx.beginPath();
+    ctx.moveTo(points[start][0], points[start][1]);
+    for (let i = start + 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+// Lines, rectangles and ellipses go from one corner (or end) to the other
+export const drawShape = (ctx, stroke) => {
+  const [x1, y1] = stroke.from;
+  const [x2, y2] = stroke.to;
+  ctx.save();
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth = stroke.size;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  if (stroke.tool === 'line') {
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+  } else if (stroke.tool === 'rectangle') {
+    ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+  } else {
+    ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+  }
+  ctx.stroke();
+  ctx.restore();
+};
+
+const drawLabel = (ctx, stroke) => {
+  const isStamp = stroke.tool === 'stamp';
+  ctx.save();
+  ctx.font = isStamp ? `${stampFontSize(stroke.size)}px ${EMOJI_FONT}` : `bold ${textFontSize(stroke.size)}px ${TEXT_FONT}`;
+  ctx.fillStyle = stroke.color || '#000000';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(isStamp ? stroke.emoji : stroke.text, stroke.point[0], stroke.point[1]);
+  ctx.restore();
+};
+
+export const createLayers = (width, height) => Object.fromEntries(
+  DRAWING_LAYERS.map(layer => [layer.id, createCanvas(width, height)])
+);
+
+// White paper with the layers on top, bottom layer first
+export const composeLayers = (ctx, layers) => {
+  const { width, height } = ctx.canvas;
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  DRAWING_LAYERS.forEach(layer => ctx.drawImage(layers[layer.id], 0, 0));
+};
+
+// Adds a stroke to its layer. Freehand strokes can pass `from` to draw only
+// the newest points.
+export const applyStroke = (layers, stroke, from = 0) => {
+  if (stroke.tool === 'clear') {
+    Object.values(layers).forEach(canvas => canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height));
+    return;
+  }
+
+  const ctx = layers[strokeLayer(stroke)].getContext('2d');
+  if (FREEHAND_TOOLS.includes(stroke.tool)) {
+    drawStrokeSegment(ctx, stroke, from);
+  } else if (SHAPE_TOOLS.includes(stroke.tool)) {
+    drawShape(ctx, stroke);
+  } else if (stroke.tool === 'stamp' || stroke.tool === 'text') {
+    drawLabel(ctx, stroke);
+  } else if (stroke.tool === 'fill') {
+    // The area is found on the whole picture, so outlines on either layer
+    // hold the paint in, but only this layer is painted
+    const composite = createCanvas(ctx.canvas.width, ctx.canvas.height);
+    const compositeCtx = composite.getContext('2d');
+    composeLayers(compositeCtx, layers);
+    floodFill(ctx, stroke.point[0], stroke.point[1], stroke.color, {
+      source: compositeCtx.getImageData(0, 0, composite.width, composite.height)
+    });
+  }
+};
+
+// Builds the layers from scratch. backgroundImage is the loaded background,
+// if any.
+export const renderLayers = (data, backgroundImage) => {
+  const layers = createLayers(data.width, data.height);
+  if (backgroundImage) layers.background.getContext('2d').drawImage(backgroundImage, 0, 0, data.width, data.height);
+  data.strokes.forEach(stroke => applyStroke(layers, stroke));
+  return layers;
+};
+
+// Strokes after the last clear no longer show the background, so it is
+// dropped from what gets saved
+export const compactDrawing = (data) => {
+  const lastClear = data.strokes.map(stroke => stroke.tool).lastIndexOf('clear');
+  if (lastClear === -1) return data;
+  return { ...data, background: null, strokes: data.strokes.slice(lastClear + 1) };
+};
@@ -0,0 +1,225 @@
+// EPUB Export
+// Packages a story as an EPUB 3 book: a cover, a navigation document and one
+// XHTML chapter per page. Pages with recorded narration get a SMIL media
+// overlay so readers highlight each word as it is read, like Preview does.
+// Word timings are estimated by spreading the recording over the words in
+// proportion to their length. Only MP3 and MP4 narration is packaged, as those
+// are the audio types every EPUB 3 reader has to play; pages recorded as WAV
+// are exported without read-along and reported through onWarning.
+
+import { createZip } from './zip';
+import { renderCover, canvasToBlob, PAGE_BACKGROUNDS, STICKER_SIZE, getLayeredStickers } from './bookRender';
+import { estimateWordTimings } from './narration';
+
+const ACTIVE_CLASS = '-epub-media-overlay-active';
+
+const FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a'
+};
+
+const EPUB_AUDIO_TYPES = ['audio/mpeg', 'audio/mp4'];
+
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const readDataUrl = async (dataUrl) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  const type = blob.type.split(';')[0];
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), type, extension: FILE_EXTENSIONS[type] || 'bin' };
+};
+
+// Recordings whose length the browser cannot read get no overlay
+const getAudioDuration = (src) => new Promise(resolve => {
+  const audio = new Audio();
+  audio.preload = 'metadata';
+  audio.onloadedmetadata = () => resolve(Number.isFinite(audio.duration) && audio.duration > 0 ? audio.duration : null);
+  audio.onerror = () => resolve(null);
+  audio.src = src;
+});
+
+const formatClock = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${h}:${String(m).padStart(2, '0')}:${s}`;
+};
+
+const splitWords = (text) => (text || '').split(/\s+/).filter(Boolean);
+
+const xhtmlDocument = (title, bodyClass, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body class="${bodyClass}">
+${body}
+</body>
+</html>
+`;
+
+const stylesheet = () => `body { margin: 0; padding: 1em; font-family: "Comic Sans MS", "Chalkboard SE", sans-serif; text-align: center; }
+${Object.entries(PAGE_BACKGROUNDS).map(([name, { from, to, text }]) => `.bg-${name} { background: ${from}; background: linear-gradient(${from}, ${to}); color: ${text}; }`).join('\n')}
+.page { position: relative; min-height: 90vh; }
+.decorations { display: flex; justify-content: flex-end; font-size: 2.5em; }
+.sticker { position: absolute; line-height: 1; }
+.drawing { max-width: 100%; max-height: 50vh; border-radius: 0.5em; }
+.text { font-size: 1.5em; line-height: 1.6; }
+.page-number { font-weight: bold; opacity: 0.7; }
+.cover-image { max-width: 100%; max-height: 95vh; }
+.${ACTIVE_CLASS} { background-color: #fde047; color: #333333; border-radius: 0.2em; }
+`;
+
+const pageBody = (page, number, pictureHrefs) => {
+  const words = splitWords(page.text);
+  const text = words.map((word, i) => `<span id="w${i + 1}">${escapeXml(word)}</span>`).join(' ');
+  // Placed like in Preview: centred on x/y, sized by the page width
+  const stickers = getLayeredStickers(page).map(sticker => `<span class="sticker" style="left: ${(sticker.x * 100).toFixed(2)}%; top: ${(sticker.y * 100).toFixed(2)}%; font-size: ${(STICKER_SIZE * 100 * sticker.scale).toFixed(2)}vw; transform: translate(-50%, -50%) rotate(${sticker.rotation}deg);">${escapeXml(sticker.emoji)}</span>`).join('\n  ');
+
+  return `<section class="page" epub:type="chapter" id="page-${number}">
+  <div class="decorations"><span class="emotion">${escapeXml(page.emotion || '')}</span></div>
+  ${pictureHrefs.length > 0 ? `<p>${pictureHrefs.map(href => `<img class="drawing" src="${href}" alt="Picture for page ${number}"/>`).join(' ')}</p>` : ''}
+  <p class="text">${text}</p>
+  <p class="page-number">${number}</p>
+  ${stickers}
+</section>`;
+};
+
+const smilDocument = (number, audioHref, timings) => `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+  <body>
+    <seq id="seq-${number}" epub:textref="page-${number}.xhtml#page-${number}">
+${timings.map(([start, end], i) => `      <par id="par-${i + 1}">
+        <text src="page-${number}.xhtml#w${i + 1}"/>
+        <audio src="${audioHref}" clipBegin="${formatClock(start)}" clipEnd="${formatClock(end)}"/>
+      </par>`).join('\n')}
+    </seq>
+  </body>
+</smil>
+`;
+
+const navDocument = (story) => xhtmlDocument('Contents', 'bg-default', `<nav epub:type="toc" id="toc">
+  <h1>${escapeXml(story.title)}</h1>
+  <ol>
+    <li><a href="cover.xhtml">Cover</a></li>
+${story.pages.map((page, i) => {
+    const preview = splitWords(page.text).slice(0, 6).join(' ');
+    return `    <li><a href="page-${i + 1}.xhtml">Page ${i + 1}${preview ? `: ${escapeXml(preview)}` : ''}</a></li>`;
+  }).join('\n')}
+  </ol>
+</nav>`);
+
+const containerXml = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+export const createStoryEpub = async (story, { authorName, onWarning } = {}) => {
+  const files = [];
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    '<item id="cover-image" href="images/cover.png" media-type="image/png" properties="cover-image"/>',
+    '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>'
+  ];
+  const durations = [];
+  const unplayableAudio = [];
+
+  const coverCanvas = await renderCover(story, { width: 1200, height: 1600, authorName });
+  const coverBlob = await canvasToBlob(coverCanvas);
+  files.push({ name: 'OEBPS/images/cover.png', data: new Uint8Array(await coverBlob.arrayBuffer()) });
+  files.push({
+    name: 'OEBPS/cover.xhtml',
+    data: xhtmlDocument(story.title, 'bg-default', `<section epub:type="cover"><img class="cover-image" src="images/cover.png" alt="${escapeXml(story.title)}"/></section>`)
+  });
+
+  for (const [i, page] of story.pages.entries()) {
+    const number = i + 1;
+    const pictureHrefs = [];
+
+    for (const [field, picture] of [['photo', page.image], ['drawing', page.drawing]]) {
+      if (!picture) continue;
+      const file = await readDataUrl(picture);
+      const href = `images/page-${number}-${field}.${file.extension}`;
+      files.push({ name: `OEBPS/${href}`, data: file.bytes });
+      manifest.push(`<item id="${field}-${number}" href="${href}" media-type="${file.type}"/>`);
+      pictureHrefs.push(href);
+    }
+
+    let overlay = '';
+    const words = splitWords(page.text);
+    const audio = page.audio && words.length > 0 ? await readDataUrl(page.audio) : null;
+    if (audio && !EPUB_AUDIO_TYPES.includes(audio.type)) unplayableAudio.push(number);
+    const duration = audio && EPUB_AUDIO_TYPES.includes(audio.type) ? await getAudioDuration(page.audio) : null;
+    if (duration) {
+      const audioHref = `audio/page-${number}.${audio.extension}`;
+      files.push({ name: `OEBPS/${audioHref}`, data: audio.bytes });
+      files.push({ name: `OEBPS/page-${number}.smil`, data: smilDocument(number, audioHref, estimateWordTimings(words, duration)) });
+      manifest.push(`<item id="audio-${number}" href="${audioHref}" media-type="${audio.type}"/>`);
+      manifest.push(`<item id="smil-${number}" href="page-${number}.smil" media-type="application/smil+xml"/>`);
+      overlay = ` media-overlay="smil-${number}"`;
+      durations.push({ id: `smil-${number}`, duration });
+    }
+
+    files.push({
+      name: `OEBPS/page-${number}.xhtml`,
+      data: xhtmlDocument(`${story.title} - Page ${number}`, `bg-${PAGE_BACKGROUNDS[page.background] ? page.background : 'default'}`, pageBody(page, number, pictureHrefs))
+    });
+    manifest.push(`<item id="page-${number}" href="page-${number}.xhtml" media-type="application/xhtml+xml"${overlay}/>`);
+  }
+
+  if (unplayableAudio.length > 0 && onWarning) {
+    const pages = unplayableAudio.length === 1 ? `Page ${unplayableAudio[0]} has` : `Pages ${unplayableAudio.join(', ')} have`;
+    onWarning(`${pages} narration saved in a format e-readers can't play, so they won't read along in the e-book.`);
+  }
+
+  const totalDuration = durations.reduce((sum, d) => sum + d.duration, 0);
+  const overlayMeta = durations.length > 0 ? [
+    `<meta property="media:active-class">${ACTIVE_CLASS}</meta>`,
+    ...durations.map(d => `<meta property="media:duration" refines="#${d.id}">${formatClock(d.duration)}</meta>`),
+    `<meta property="media:duration">${formatClock(totalDuration)}</meta>`
+  ] : [];
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:story-creator:${escapeXml(story.id)}</dc:identifier>
+    <dc:title>${escapeXml(story.title)}</dc:title>
+    ${authorName ? `<dc:creator>${escapeXml(authorName)}</dc:creator>` : ''}
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+    ${overlayMeta.join('\n    ')}
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine>
+    <itemref idref="cover"/>
+    ${story.pages.map((_, i) => `<itemref idref="page-${i + 1}"/>`).join('\n    ')}
+  </spine>
+</package>
+`;
+
+  // mimetype has to be the first entry in the archive
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: containerXml },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: navDocument(story) },
+    { name: 'OEBPS/style.css', data: stylesheet() },
+    ...files
+  ]);
+};
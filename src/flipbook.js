@@ -0,0 +1,156 @@
+// HTML Flipbook Export
+// A single .html file that works without the app or a network: pictures stay
+// inline as data URLs, and a small script flips pages, shows the page dots and
+// reads aloud with the Web Speech API, highlighting words like Preview.
+
+import { PAGE_BACKGROUNDS, STICKER_SIZE, getPagePictures, getLayeredStickers } from './bookRender';
+import { escapeXml } from './epub';
+
+const backgroundName = (background) => (PAGE_BACKGROUNDS[background] ? background : 'default');
+
+const pageSection = (page, index, total) => {
+  const words = (page.text || '').split(/\s+/).filter(Boolean);
+  const stickers = getLayeredStickers(page).map(sticker => `<span class="sticker" style="left: ${(sticker.x * 100).toFixed(2)}%; top: ${(sticker.y * 100).toFixed(2)}%; font-size: ${(STICKER_SIZE * 100 * sticker.scale).toFixed(2)}cqw; transform: translate(-50%, -50%) rotate(${sticker.rotation}deg);">${escapeXml(sticker.emoji)}</span>`).join('\n  ');
+
+  return `<section class="page bg-${backgroundName(page.background)}" data-index="${index}"${index === 0 ? '' : ' hidden'}>
+  <div class="decorations"><span>${escapeXml(page.emotion || '')}</span></div>
+  ${getPagePictures(page).map(picture => `<img class="drawing" src="${escapeXml(picture)}" alt="Picture for page ${index + 1}">`).join(' ')}
+  <p class="text">${words.map(word => `<span class="word">${escapeXml(word)}</span>`).join(' ')}</p>
+  <p class="page-number">Page ${index + 1} of ${total}</p>
+  ${stickers}
+</section>`;
+};
+
+const styles = `
+* { box-sizing: border-box; }
+body { margin: 0; min-height: 100vh; background: #FDF6E3; color: #333333; font-family: "Comic Sans MS", "Chalkboard SE", Arial, sans-serif; display: flex; flex-direction: column; align-items: center; padding: 1.5rem; }
+h1 { margin: 0 0 0.25rem; text-align: center; }
+.author { margin: 0 0 1.5rem; opacity: 0.75; }
+.book { width: 100%; max-width: 56rem; perspective: 1600px; }
+.page { position: relative; min-height: 32rem; padding: 3rem 2rem; border-radius: 0.75rem; box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25); display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; transform-origin: left center; container-type: inline-size; }
+.page[hidden] { display: none; }
+.page.flip-next { animation: flip-next 0.5s ease-out; }
+.page.flip-prev { animation: flip-prev 0.5s ease-out; }
+@keyframes flip-next { from { transform: rotateY(-70deg); opacity: 0.3; } to { transform: none; opacity: 1; } }
+@keyframes flip-prev { from { transform: rotateY(70deg); opacity: 0.3; } to { transform: none; opacity: 1; } }
+${Object.entries(PAGE_BACKGROUNDS).map(([name, { from, to, text }]) => `.bg-${name} { background: linear-gradient(${from}, ${to}); color: ${text}; }`).join('\n')}
+.decorations { position: absolute; top: 1rem; left: 1rem; right: 1rem; display: flex; justify-content: flex-end; font-size: 2.5rem; }
+.sticker { position: absolute; line-height: 1; pointer-events: none; }
+.drawing { max-width: 100%; max-height: 12rem; border-radius: 0.5rem; margin: 2rem 0 1rem; }
+.text { font-size: 1.5rem; line-height: 1.6; }
+.word.active { background: #fde047; color: #333333; border-radius: 0.25rem; padding: 0 0.15rem; }
+.page-number { position: absolute; bottom: 1rem; font-weight: bold; margin: 0; }
+.controls { display: flex; justify-content: space-between; align-items: center; width: 100%; max-width: 56rem; margin-top: 1.5rem; gap: 1rem; }
+button { background: #FFB347; border: none; border-radius: 0.5rem; padding: 0.75rem 1.5rem; font: inherit; font-weight: bold; cursor: pointer; }
+button:hover { background: #FFD580; }
+button:disabled { opacity: 0.5; cursor: not-allowed; }
+.dots { display: flex; gap: 0.5rem; flex-wrap: wrap; justify-content: center; }
+.dot { width: 0.75rem; height: 0.75rem; padding: 0; border-radius: 9999px; background: #9ca3af; transition: all 0.3s; }
+.dot.current { width: 2rem; background: #FFB347; }
+.read-aloud { margin-top: 1rem; border-radius: 9999px; }
+`;
+
+// Runs inside the exported file, so it is kept to plain browser JavaScript
+const script = `
+(function () {
+  var pages = document.querySelectorAll('.page');
+  var dots = document.querySelectorAll('.dot');
+  var prev = document.getElementById('prev');
+  var next = document.getElementById('next');
+  var readButton = document.getElementById('read');
+  var current = 0;
+
+  function stopReading() {
+    if (window.speechSynthesis) window.speechSynthesis.cancel();
+    readButton.textContent = '🔊 Read Aloud';
+    document.querySelectorAll('.word.active').forEach(function (w) { w.classList.remove('active'); });
+  }
+
+  function show(index) {
+    if (index < 0 || index >= pages.length || index === current) return;
+    stopReading();
+    var direction = index > current ? 'flip-next' : 'flip-prev';
+    pages[current].hidden = true;
+    dots[current].classList.remove('current');
+    current = index;
+    pages[current].hidden = false;
+    pages[current].classList.remove('flip-next', 'flip-prev');
+    void pages[current].offsetWidth;
+    pages[current].classList.add(direction);
+    dots[current].classList.add('current');
+    prev.disabled = current === 0;
+    next.disabled = current === pages.length - 1;
+  }
+
+  function read() {
+    if (!window.speechSynthesis) return;
+    if (window.speechSynthesis.speaking) { stopReading(); return; }
+    var words = pages[current].querySelectorAll('.word');
+    var text = Array.prototype.map.call(words, function (w) { return w.textContent; }).join(' ');
+    if (!text) return;
+    var utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 0.9;
+    utterance.onboundary = function (event) {
+      if (event.name && event.name !== 'word') return;
+      var index = text.slice(0, event.charIndex).split(' ').length - 1;
+      words.forEach(function (w, i) { w.classList.toggle('active', i === index); });
+    };
+    utterance.onend = stopReading;
+    readButton.textContent = '⏸ Stop Reading';
+    window.speechSynthesis.speak(utterance);
+  }
+
+  prev.addEventListener('click', function () { show(current - 1); });
+  next.addEventListener('click', function () { show(current + 1); });
+  dots.forEach(function (dot, i) { dot.addEventListener('click', function () { show(i); }); });
+  readButton.addEventListener('click', read);
+  if (!window.speechSynthesis) readButton.hidden = true;
+
+  document.addEventListener('keydown', function (event) {
+    if (event.key === 'ArrowRight') show(current + 1);
+    if (event.key === 'ArrowLeft') show(current - 1);
+  });
+
+  var touchStart = null;
+  document.addEventListener('touchstart', function (event) { touchStart = event.touches[0].clientX; });
+  document.addEventListener('touchend', function (event) {
+    if (touchStart === null) return;
+    var distance = event.changedTouches[0].clientX - touchStart;
+    if (Math.abs(distance) > 50) show(current + (distance < 0 ? 1 : -1));
+    touchStart = null;
+  });
+})();
+`;
+
+export const createStoryFlipbook = (story, { authorName } = {}) => {
+  const total = story.pages.length;
+  const sections = story.pages.map((page, i) => pageSection(page, i, total)).join('\n');
+  const dots = story.pages.map((_, i) => `<button class="dot${i === 0 ? ' current' : ''}" aria-label="Go to page ${i + 1}"></button>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(story.title)}</title>
+<style>${styles}</style>
+</head>
+<body>
+<h1>${escapeXml(story.title)}</h1>
+${authorName ? `<p class="author">by ${escapeXml(authorName)}</p>` : ''}
+<main class="book">
+${sections}
+</main>
+<button id="read" class="read-aloud">🔊 Read Aloud</button>
+<nav class="controls">
+  <button id="prev" disabled>← Previous</button>
+  <div class="dots">${dots}</div>
+  <button id="next"${total <= 1 ? ' disabled' : ''}>Next →</button>
+</nav>
+<script>${script}</script>
+</body>
+</html>
+`;
+
+  return new Blob([html], { type: 'text/html' });
+};
@@ -0,0 +1,92 @@
+// Flood Fill
+// Paint-bucket filling shared by the drawing tool and the coloring game. The
+// region is found on one picture (what the child sees) and painted onto a
+// canvas that may be a different one (the layer being drawn on).
+
+// How different a pixel can be from the clicked one and still be filled, so
+// soft anti-aliased edges do not leave a fringe
+export const DEFAULT_FILL_TOLERANCE = 48;
+
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Returns a mask (1 = fill) of the area connected to (x, y) whose colour is
+// close to the colour at (x, y)
+export const findFillRegion = (imageData, x, y, tolerance = DEFAULT_FILL_TOLERANCE) => {
+  const { width, height, data } = imageData;
+  const mask = new Uint8Array(width * height);
+  const startX = Math.floor(x);
+  const startY = Math.floor(y);
+  if (startX < 0 || startY < 0 || startX >= width || startY >= height) return mask;
+
+  const start = (startY * width + startX) * 4;
+  const target = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+  const matches = (i) => {
+    const p = i * 4;
+    return Math.abs(data[p] - target[0]) <= tolerance
+      && Math.abs(data[p + 1] - target[1]) <= tolerance
+      && Math.abs(data[p + 2] - target[2]) <= tolerance
+      && Math.abs(data[p + 3] - target[3]) <= tolerance;
+  };
+
+  // Scanline fill: each popped pixel fills its whole row run, then queues the
+  // rows above and below
+  const stack = [startY * width + startX];
+  while (stack.length > 0) {
+    const i = stack.pop();
+    if (mask[i] || !matches(i)) continue;
+    const row = Math.floor(i / width) * width;
+    let left = i;
+    while (left > row && !mask[left - 1] && matches(left - 1)) left--;
+    let right = i;
+    while (right < row + width - 1 && !mask[right + 1] && matches(right + 1)) right++;
+
+    for (let j = left; j <= right; j++) {
+      mask[j] = 1;
+      if (row > 0 && !mask[j - width]) stack.push(j - width);
+      if (row < (height - 1) * width && !mask[j + width]) stack.push(j + width);
+    }
+  }
+
+  return mask;
+};
+
+// Grows the mask by a pixel so the fill tucks under the edge of the outline
+const growMask = (mask, width, height) => {
+  const grown = new Uint8Array(mask);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (mask[i]) continue;
+      if ((x > 0 && mask[i - 1]) || (x < width - 1 && mask[i + 1]) || (y > 0 && mask[i - width]) || (y < height - 1 && mask[i + width])) {
+        grown[i] = 1;
+      }
+    }
+  }
+  return grown;
+};
+
+// Fills the region around (x, y) with colour on ctx. source is the picture the
+// region is found on; by default the canvas itself. Returns false when there
+// was nothing to fill.
+export const floodFill = (ctx, x, y, color, { source, tolerance = DEFAULT_FILL_TOLERANCE } = {}) => {
+  const { width, height } = ctx.canvas;
+  const region = findFillRegion(source || ctx.getImageData(0, 0, width, height), x, y, tolerance);
+  if (!region.some(Boolean)) return false;
+  const mask = growMask(region, width, height);
+
+  const target = ctx.getImageData(0, 0, width, height);
+  const [r, g, b] = hexToRgb(color);
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    const p = i * 4;
+    target.data[p] = r;
+    target.data[p + 1] = g;
+    target.data[p + 2] = b;
+    target.data[p + 3] = 255;
+  }
+  ctx.putImageData(target, 0, 0);
+  return true;
+};
@@ -0,0 +1,245 @@
+// Line Art
+// The pictures in the coloring game. Each one is a small SVG drawn in black
+// outlines on an 800 × 400 sheet (the same shape as a page drawing), so every
+// enclosed area can be filled with the paint bucket. The paint goes on its own
+// canvas under the outlines, so coloring never covers a line.
+
+import { loadImage, createCanvas } from './bookRender';
+import { floodFill } from './floodFill';
+
+export const LINE_ART_WIDTH = 800;
+export const LINE_ART_HEIGHT = 400;
+
+export const LINE_ART_THEMES = [
+  { id: 'shapes', name: 'Shapes', icon: '🔷' },
+  { id: 'animals', name: 'Animals', icon: '🐾' },
+  { id: 'sea', name: 'Under the Sea', icon: '🌊' },
+  { id: 'space', name: 'Space', icon: '🚀' },
+  { id: 'outdoors', name: 'Outdoors', icon: '🌳' }
+];
+
+// Points of a five-pointed star, for <polygon points="...">
+const starPoints = (cx, cy, outer, inner) => Array.from({ length: 10 }, (_, i) => {
+  const radius = i % 2 === 0 ? outer : inner;
+  const angle = (i * 36 - 90) * Math.PI / 180;
+  return `${Math.round(cx + radius * Math.cos(angle))},${Math.round(cy + radius * Math.sin(angle))}`;
+}).join(' ');
+
+const star = (cx, cy, size) => `<polygon points="${starPoints(cx, cy, size, size * 0.45)}"/>`;
+
+const bubble = (cx, cy, r) => `<circle cx="${cx}" cy="${cy}" r="${r}"/>`;
+
+// Eyes and other small dots are solid black so they are not fill areas
+const dot = (cx, cy, r) => `<circle cx="${cx}" cy="${cy}" r="${r}" fill="#000"/>`;
+
+const sunRays = (cx, cy, from, to) => Array.from({ length: 8 }, (_, i) => {
+  const angle = i * Math.PI / 4;
+  const x1 = Math.round(cx + from * Math.cos(angle));
+  const y1 = Math.round(cy + from * Math.sin(angle));
+  const x2 = Math.round(cx + to * Math.cos(angle));
+  const y2 = Math.round(cy + to * Math.sin(angle));
+  return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+}).join('');
+
+export const LINE_ART = [
+  {
+    id: 'shapes',
+    theme: 'shapes',
+    name: 'Circle, Square and Triangle',
+    body: `
+      <circle cx="170" cy="200" r="110"/>
+      <rect x="320" y="110" width="180" height="180"/>
+      <polygon points="650,80 760,300 540,300"/>
+      <circle cx="170" cy="200" r="50"/>
+      <rect x="370" y="160" width="80" height="80"/>`
+  },
+  {
+    id: 'stars',
+    theme: 'shapes',
+    name: 'Starry Sky',
+    body: `
+      ${star(170, 210, 120)}
+      ${star(400, 180, 80)}
+      ${star(600, 230, 110)}
+      ${star(330, 330, 40)}
+      ${star(740, 80, 40)}
+      ${star(60, 60, 35)}`
+  },
+  {
+    id: 'cat',
+    theme: 'animals',
+    name: 'Cat',
+    body: `
+      <circle cx="400" cy="220" r="140"/>
+      <path d="M279 150 L285 50 L341 93"/>
+      <path d="M521 150 L515 50 L459 93"/>
+      <ellipse cx="350" cy="190" rx="22" ry="30"/>
+      <ellipse cx="450" cy="190" rx="22" ry="30"/>
+      ${dot(352, 198, 9)}
+      ${dot(452, 198, 9)}
+      <polygon points="385,245 415,245 400,262"/>
+      <path d="M400 262 Q385 290 365 280 M400 262 Q415 290 435 280"/>
+      <path d="M340 250 L220 230 M340 262 L220 270 M460 250 L580 230 M460 262 L580 270"/>`
+  },
+  {
+    id: 'turtle',
+    theme: 'animals',
+    name: 'Turtle',
+    body: `
+      <path d="M230 260 Q400 40 570 260 Z"/>
+      <polygon points="340,260 360,190 440,190 460,260"/>
+      <path d="M360 190 L332 168 M440 190 L468 168"/>
+      <circle cx="615" cy="225" r="45"/>
+      ${dot(630, 212, 6)}
+      <path d="M605 245 Q620 255 640 245"/>
+      <ellipse cx="300" cy="275" rx="30" ry="22"/>
+      <ellipse cx="500" cy="275" rx="30" ry="22"/>
+      <path d="M232 252 L190 268 L238 262"/>
+      <line x1="80" y1="330" x2="720" y2="330"/>`
+  },
+  {
+    id: 'fish',
+    theme: 'sea',
+    name: 'Fish',
+    body: `
+      <ellipse cx="380" cy="200" rx="170" ry="100"/>
+      <polygon points="545,200 660,120 660,280"/>
+      <path d="M370 101 Q340 200 370 299"/>
+      <path d="M450 109 Q420 200 450 291"/>
+      <path d="M330 105 Q400 40 450 109"/>
+      <circle cx="280" cy="180" r="18"/>
+      ${dot(284, 182, 7)}
+      <path d="M220 225 Q240 240 262 232"/>
+      ${bubble(150, 120, 14)}
+      ${bubble(120, 70, 10)}
+      ${bubble(165, 35, 8)}
+      <path d="M720 400 Q690 340 725 290 Q750 250 720 200 M760 400 Q735 350 765 300"/>`
+  },
+  {
+    id: 'starfish',
+    theme: 'sea',
+    name: 'Starfish',
+    body: `
+      ${star(400, 210, 170)}
+      ${dot(372, 200, 9)}
+      ${dot(428, 200, 9)}
+      <path d="M375 235 Q400 255 425 235"/>
+      <path d="M0 360 Q200 330 400 360 Q600 390 800 355"/>
+      ${bubble(120, 120, 30)}
+      ${bubble(170, 60, 18)}
+      ${bubble(660, 110, 24)}
+      ${bubble(700, 50, 14)}`
+  },
+  {
+    id: 'rocket',
+    theme: 'space',
+    name: 'Rocket',
+    body: `
+      <path d="M400 30 Q470 100 470 250 L330 250 Q330 100 400 30 Z"/>
+      <circle cx="400" cy="140" r="30"/>
+      <line x1="345" y1="80" x2="455" y2="80"/>
+      <path d="M332 180 L270 290 L330 250"/>
+      <path d="M468 180 L530 290 L470 250"/>
+      <path d="M350 250 Q360 320 400 365 Q440 320 450 250"/>
+      <path d="M375 250 Q385 300 400 325 Q415 300 425 250"/>
+      ${star(130, 90, 40)}
+      ${star(660, 120, 50)}
+      ${star(190, 300, 30)}
+      ${star(640, 320, 30)}`
+  },
+  {
+    id: 'planet',
+    theme: 'space',
+    name: 'Ringed Planet',
+    body: `
+      <circle cx="400" cy="200" r="110"/>
+      <ellipse cx="400" cy="200" rx="200" ry="45"/>
+      <path d="M300 155 Q400 175 500 155"/>
+      <path d="M300 245 Q400 225 500 245"/>
+      <circle cx="680" cy="80" r="35"/>
+      <circle cx="670" cy="70" r="8"/>
+      ${star(110, 90, 35)}
+      ${star(700, 320, 30)}
+      ${star(120, 320, 25)}`
+  },
+  {
+    id: 'house',
+    theme: 'outdoors',
+    name: 'House',
+    body: `
+      <rect x="250" y="180" width="240" height="170"/>
+      <polygon points="230,180 370,70 510,180"/>
+      <rect x="340" y="260" width="60" height="90"/>
+      ${dot(388, 308, 5)}
+      <rect x="270" y="210" width="50" height="45"/>
+      <rect x="420" y="210" width="50" height="45"/>
+      <path d="M295 210 L295 255 M270 232 L320 232 M445 210 L445 255 M420 232 L470 232"/>
+      <circle cx="690" cy="80" r="40"/>
+      ${sunRays(690, 80, 50, 75)}
+      <rect x="600" y="250" width="30" height="100"/>
+      <circle cx="615" cy="205" r="55"/>
+      <line x1="0" y1="350" x2="800" y2="350"/>`
+  },
+  {
+    id: 'flower',
+    theme: 'outdoors',
+    name: 'Flower',
+    body: `
+      ${[0, 60, 120, 180, 240, 300].map(angle =>
+        `<ellipse cx="400" cy="90" rx="30" ry="45" transform="rotate(${angle} 400 150)"/>`
+      ).join('')}
+      <circle cx="400" cy="150" r="35"/>
+      <path d="M400 185 Q390 280 400 360"/>
+      <path d="M396 300 Q340 260 310 295 Q350 320 396 300"/>
+      <path d="M398 260 Q450 220 485 250 Q450 280 398 260"/>
+      <path d="M0 360 L800 360"/>
+      <circle cx="130" cy="100" r="40"/>
+      ${sunRays(130, 100, 50, 75)}`
+  }
+];
+
+export const getLineArt = (id) => LINE_ART.find(picture => picture.id === id) || LINE_ART[0];
+
+// The outlines only, on a transparent background
+export const lineArtToSvg = (picture) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${LINE_ART_WIDTH}" height="${LINE_ART_HEIGHT}" viewBox="0 0 ${LINE_ART_WIDTH} ${LINE_ART_HEIGHT}">` +
+  `<g fill="none" stroke="#000" stroke-width="5" stroke-linecap="round" stroke-linejoin="round">${picture.body}</g></svg>`;
+
+export const lineArtUrl = (picture) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(lineArtToSvg(picture))}`;
+
+// Resolves with the outlines drawn on a canvas the size of the sheet
+export const loadLineArt = async (picture) => {
+  const img = await loadImage(lineArtUrl(picture));
+  const canvas = createCanvas(LINE_ART_WIDTH, LINE_ART_HEIGHT);
+  canvas.getContext('2d').drawImage(img, 0, 0, LINE_ART_WIDTH, LINE_ART_HEIGHT);
+  return canvas;
+};
+
+// Blank white paper for the paint
+export const createPaintCanvas = () => {
+  const canvas = createCanvas(LINE_ART_WIDTH, LINE_ART_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+export const composeColoring = (ctx, paint, lines) => {
+  ctx.drawImage(paint, 0, 0);
+  ctx.drawImage(lines, 0, 0);
+};
+
+// True when (x, y) is on one of the outlines rather than inside an area
+export const isOnLine = (lines, x, y) =>
+  lines.getContext('2d').getImageData(Math.floor(x), Math.floor(y), 1, 1).data[3] > 128;
+
+// Fills are { point: [x, y], color }. The area is found on the paint and
+// outlines together, then painted onto the paint canvas.
+export const applyFill = (paint, lines, fill) => {
+  const composite = createCanvas(paint.width, paint.height);
+  const compositeCtx = composite.getContext('2d');
+  composeColoring(compositeCtx, paint, lines);
+  return floodFill(paint.getContext('2d'), fill.point[0], fill.point[1], fill.color, {
+    source: compositeCtx.getImageData(0, 0, composite.width, composite.height)
+  });
+};
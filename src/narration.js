@@ -0,0 +1,195 @@
+// Narration
+// Voice recordings for pages. MediaRecorder hands back compressed audio in
+// whatever format the browser prefers; it is decoded, mixed down to mono and
+// trimmed of the silence at each end. The trimmed sound is then compressed
+// again as MP4 (AAC where the browser offers it), which e-readers can play in
+// the EPUB read-along. Browsers that cannot record MP4 store it as WAV, which
+// is larger and only plays in the app and the flipbook.
+
+const SAMPLE_RATE = 22050;
+const WINDOW_SECONDS = 0.02;
+const SILENCE_LEVEL = 0.02;
+// Kept either side of the speech so the first and last words are not clipped
+const PADDING_SECONDS = 0.15;
+const COMPRESSED_TYPES = ['audio/mp4;codecs=mp4a.40.2', 'audio/mp4'];
+
+export class NarrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NarrationError';
+  }
+}
+
+export const isNarrationSupported = () =>
+  typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+// Resolves with a MediaRecorder already recording from the microphone
+export const startNarrationRecorder = async () => {
+  if (!isNarrationSupported()) {
+    throw new NarrationError('This browser cannot record sound.');
+  }
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch {
+    throw new NarrationError('The microphone is blocked. Ask a grown-up to allow it in the browser settings.');
+  }
+  const recorder = new MediaRecorder(stream);
+  // The microphone light goes off as soon as recording stops
+  recorder.addEventListener('stop', () => stream.getTracks().forEach(track => track.stop()));
+  recorder.start();
+  return recorder;
+};
+
+const decodeRecording = async (blob) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  try {
+    return await context.decodeAudioData(await blob.arrayBuffer());
+  } catch {
+    throw new NarrationError('The recording could not be read. Please try again.');
+  } finally {
+    context.close();
+  }
+};
+
+// Mono at a sample rate that is plenty for speech and keeps the file small
+const mixDown = async (buffer) => {
+  const length = Math.max(1, Math.ceil(buffer.duration * SAMPLE_RATE));
+  const offline = new OfflineAudioContext(1, length, SAMPLE_RATE);
+  const source = offline.createBufferSource();
+  source.buffer = buffer;
+  source.connect(offline.destination);
+  source.start();
+  return (await offline.startRendering()).getChannelData(0);
+};
+
+// [start, end) sample range between the first and last loud window, or null
+// when the whole recording is silence
+export const findSpeechRange = (samples, sampleRate, level = SILENCE_LEVEL) => {
+  const windowSize = Math.max(1, Math.round(sampleRate * WINDOW_SECONDS));
+  let first = -1;
+  let last = -1;
+
+  for (let start = 0; start < samples.length; start += windowSize) {
+    const end = Math.min(start + windowSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    if (Math.sqrt(sum / (end - start)) >= level) {
+      if (first === -1) first = start;
+      last = end;
+    }
+  }
+
+  if (first === -1) return null;
+  const padding = Math.round(sampleRate * PADDING_SECONDS);
+  return [Math.max(0, first - padding), Math.min(samples.length, last + padding)];
+};
+
+// 16-bit PCM mono WAV
+export const encodeWav = (samples, sampleRate) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  samples.forEach((sample, i) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+  });
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
+
+const getCompressedType = () => (
+  typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported
+    ? COMPRESSED_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+    : undefined
+);
+
+// MediaRecorder only records live sound, so the samples are played (silently,
+// straight into the recorder) and compressing takes as long as the recording
+const compressSamples = async (samples, sampleRate, mimeType) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  try {
+    await context.resume();
+    const buffer = context.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    const destination = context.createMediaStreamDestination();
+    source.connect(destination);
+
+    const recorder = new MediaRecorder(destination.stream, { mimeType });
+    const chunks = [];
+    const stopped = new Promise((resolve, reject) => {
+      recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+      recorder.addEventListener('stop', resolve);
+      recorder.addEventListener('error', () => reject(new NarrationError('The recording could not be saved.')));
+    });
+    source.addEventListener('ended', () => recorder.stop());
+    recorder.start();
+    source.start();
+    await stopped;
+    return new Blob(chunks, { type: 'audio/mp4' });
+  } finally {
+    context.close();
+  }
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new NarrationError('The recording could not be saved.'));
+  reader.readAsDataURL(blob);
+});
+
+// Turns what MediaRecorder captured into the trimmed MP4 (or WAV) data URL
+// stored on the page as page.audio
+export const finishRecording = async (blob) => {
+  const samples = await mixDown(await decodeRecording(blob));
+  const range = findSpeechRange(samples, SAMPLE_RATE);
+  if (!range) {
+    throw new NarrationError("We couldn't hear anything. Try again a little closer to the microphone.");
+  }
+  const trimmed = samples.subarray(range[0], range[1]);
+  const compressedType = getCompressedType();
+  let compressed = null;
+  if (compressedType) {
+    compressed = await compressSamples(trimmed, SAMPLE_RATE, compressedType).catch(error => {
+      console.error('Failed to compress narration, keeping it as WAV:', error);
+      return null;
+    });
+  }
+  return blobToDataUrl(compressed?.size > 0 ? compressed : encodeWav(trimmed, SAMPLE_RATE));
+};
+
+// [start, end] in seconds for each word, weighted by word length, for
+// highlighting words while a recording plays
+export const estimateWordTimings = (words, duration) => {
+  const weights = words.map(word => word.length + 1);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let start = 0;
+  return weights.map(weight => {
+    const end = start + duration * weight / total;
+    const timing = [start, end];
+    start = end;
+    return timing;
+  });
+};
@@ -0,0 +1,122 @@
+// PDF Export
+// A small hand-written PDF: every page is one full-bleed JPEG rendered by
+// bookRender, so no PDF library or server is needed.
+
+import { renderCover, renderStoryPage, canvasToBlob } from './bookRender';
+
+// Sizes in PDF points (1/72 inch), portrait
+export const PDF_PAGE_SIZES = {
+  a4: { name: 'A4', width: 595.28, height: 841.89 },
+  letter: { name: 'Letter', width: 612, height: 792 },
+  square: { name: 'Square (8 in)', width: 576, height: 576 }
+};
+
+const RENDER_DPI = 150;
+const JPEG_QUALITY = 0.85;
+
+const encoder = new TextEncoder();
+
+const formatNumber = (n) => Number(n.toFixed(2)).toString();
+
+// Unicode text (titles and names) as a UTF-16BE hex string
+const textString = (text) => {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+};
+
+const pdfDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// images are { jpeg: Uint8Array, pixelWidth, pixelHeight }, one per page
+export const createPdf = ({ images, width, height, title, author }) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (number, body) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n${body}\nendobj\n`);
+  };
+
+  // The binary comment tells transfer tools this is not a text file
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  const pageObject = (i) => 4 + i * 3;
+  const kids = images.map((_, i) => `${pageObject(i)} 0 R`).join(' ');
+
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(2, `<< /Type /Pages /Kids [${kids}] /Count ${images.length} >>`);
+  writeObject(3, `<< /Title ${textString(title)}${author ? ` /Author ${textString(author)}` : ''} /Creator (Story Creator) /CreationDate (${pdfDate(new Date())}) >>`);
+
+  const w = formatNumber(width);
+  const h = formatNumber(height);
+
+  images.forEach((image, i) => {
+    const page = pageObject(i);
+    const contents = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+
+    writeObject(page, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${page + 2} 0 R >> >> /Contents ${page + 1} 0 R >>`);
+    writeObject(page + 1, `<< /Length ${contents.length} >>\nstream\n${contents}\nendstream`);
+
+    offsets[page + 2] = length;
+    write(`${page + 2} 0 obj\n<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`);
+    write(image.jpeg);
+    write('\nendstream\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  const count = offsets.length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let n = 1; n < count; n++) {
+    write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
+
+export const canvasToPdfImage = async (canvas) => {
+  const blob = await canvasToBlob(canvas, 'image/jpeg', JPEG_QUALITY);
+  return { jpeg: new Uint8Array(await blob.arrayBuffer()), pixelWidth: canvas.width, pixelHeight: canvas.height };
+};
+
+// Canvas size for a page rendered at the export resolution
+export const getPdfPixelSize = ({ width, height }) => ({
+  pixelWidth: Math.round(width / 72 * RENDER_DPI),
+  pixelHeight: Math.round(height / 72 * RENDER_DPI)
+});
+
+export const getPdfPageSize = (size, orientation) => {
+  const { width, height } = PDF_PAGE_SIZES[size] || PDF_PAGE_SIZES.a4;
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+};
+
+// Cover plus one page per story page. onProgress(done, total) is called as
+// each page is rendered.
+export const createStoryPdf = async (story, { size = 'a4', orientation = 'portrait', authorName, onProgress } = {}) => {
+  const { width, height } = getPdfPageSize(size, orientation);
+  const { pixelWidth, pixelHeight } = getPdfPixelSize({ width, height });
+  const total = story.pages.length + 1;
+
+  const images = [await canvasToPdfImage(await renderCover(story, { width: pixelWidth, height: pixelHeight, authorName }))];
+  onProgress?.(1, total);
+
+  for (const [i, page] of story.pages.entries()) {
+    const canvas = await renderStoryPage(page, { width: pixelWidth, height: pixelHeight, pageNumber: i + 1 });
+    images.push(await canvasToPdfImage(canvas));
+    onProgress?.(i + 2, total);
+  }
+
+  return createPdf({ images, width, height, title: story.title, author: authorName });
+};
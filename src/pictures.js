@@ -0,0 +1,97 @@
+// Pictures
+// Photos and images attached to a page as page.image. Whatever comes in (a
+// file, a drop or a camera snapshot) is rotated, cropped and scaled down on a
+// canvas, then stored as a JPEG data URL small enough to keep many per story.
+
+import { loadImage, createCanvas } from './bookRender';
+
+const MAX_PICTURE_SIDE = 1600;
+// Roughly 400 KB once stored; quality drops step by step until it fits
+const MAX_PICTURE_LENGTH = 550000;
+const START_QUALITY = 0.85;
+const MIN_QUALITY = 0.5;
+
+// Width / height of each crop shape; null keeps the picture's own shape
+export const CROP_SHAPES = {
+  original: { name: 'Whole Picture', aspect: null },
+  square: { name: 'Square', aspect: 1 },
+  wide: { name: 'Wide', aspect: 4 / 3 },
+  tall: { name: 'Tall', aspect: 3 / 4 }
+};
+
+export const DEFAULT_PICTURE_EDIT = { rotation: 0, shape: 'original', zoom: 1, centerX: 0.5, centerY: 0.5 };
+
+export class PictureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PictureError';
+  }
+}
+
+export const isPictureFile = (file) => !!file && file.type.startsWith('image/');
+
+// Resolves with an <img> or canvas ready to be drawn
+export const readPictureFile = async (file) => {
+  if (!isPictureFile(file)) throw new PictureError('That file is not a picture.');
+  const url = URL.createObjectURL(file);
+  try {
+    return await loadImage(url);
+  } catch {
+    throw new PictureError('That picture could not be opened. Try a JPEG or PNG.');
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Freezes the current video frame, for taking photos with the camera
+export const captureVideoFrame = (video) => {
+  const canvas = createCanvas(video.videoWidth, video.videoHeight);
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return canvas;
+};
+
+const sourceSize = (source) => ({ width: source.naturalWidth || source.width, height: source.naturalHeight || source.height });
+
+// The crop box in the rotated picture's pixels, kept inside the picture
+export const getCropBox = (source, { rotation, shape, zoom, centerX, centerY }) => {
+  const { width, height } = sourceSize(source);
+  const turned = rotation % 180 !== 0;
+  const rotatedWidth = turned ? height : width;
+  const rotatedHeight = turned ? width : height;
+  const aspect = CROP_SHAPES[shape]?.aspect || rotatedWidth / rotatedHeight;
+
+  const boxWidth = Math.min(rotatedWidth, rotatedHeight * aspect) / zoom;
+  const boxHeight = boxWidth / aspect;
+  const x = Math.min(Math.max(centerX * rotatedWidth - boxWidth / 2, 0), rotatedWidth - boxWidth);
+  const y = Math.min(Math.max(centerY * rotatedHeight - boxHeight / 2, 0), rotatedHeight - boxHeight);
+  return { x, y, width: boxWidth, height: boxHeight, rotatedWidth, rotatedHeight };
+};
+
+// Draws the rotated, cropped picture no bigger than maxSide on its longest side
+export const renderPicture = (source, edit, maxSide = MAX_PICTURE_SIDE) => {
+  const { width, height } = sourceSize(source);
+  const box = getCropBox(source, edit);
+  const scale = Math.min(1, maxSide / Math.max(box.width, box.height));
+  const canvas = createCanvas(Math.max(1, Math.round(box.width * scale)), Math.max(1, Math.round(box.height * scale)));
+  const ctx = canvas.getContext('2d');
+
+  // JPEG has no transparency, so see-through parts become white paper
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.scale(scale, scale);
+  ctx.translate(-box.x + box.rotatedWidth / 2, -box.y + box.rotatedHeight / 2);
+  ctx.rotate(edit.rotation * Math.PI / 180);
+  ctx.drawImage(source, -width / 2, -height / 2, width, height);
+  return canvas;
+};
+
+export const pictureToDataUrl = (canvas) => {
+  let quality = START_QUALITY;
+  let dataUrl = canvas.toDataURL('image/jpeg', quality);
+  while (dataUrl.length > MAX_PICTURE_LENGTH && quality > MIN_QUALITY) {
+    quality -= 0.1;
+    dataUrl = canvas.toDataURL('image/jpeg', quality);
+  }
+  return dataUrl;
+};
@@ -0,0 +1,119 @@
+// Share Codes
+// A story packed into a short text code: JSON, deflated with CompressionStream
+// and base64url-encoded behind a version prefix. Codes also work in a link as
+// #story=<code>, which opens the story read-only without any server.
+
+import { validateStory } from './storySchema';
+
+const CODE_PREFIX = 'S1.';
+const LINK_PARAM = 'story';
+// Far more than any real story unpacks to; stops a tiny code that inflates
+// into gigabytes from filling the tab's memory
+const MAX_STORY_BYTES = 10 * 1024 * 1024;
+
+export class ShareCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareCodeError';
+  }
+}
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+};
+
+// Reading stops with a ShareCodeError once the output passes maxLength
+const pipeBytes = async (bytes, transform, maxLength = Infinity) => {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxLength) {
+      await reader.cancel();
+      throw new ShareCodeError('This story code is too big to open.');
+    }
+    chunks.push(value);
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+const requireCompression = () => {
+  if (typeof CompressionStream === 'undefined') {
+    throw new ShareCodeError('This browser cannot make or read story codes. Please update it and try again.');
+  }
+};
+
+// Only the story itself is shared; which profile it belongs to stays here.
+// Recorded narration and the strokes behind drawings are always left out, they
+// would make the code far too long; the finished drawing is enough to read it.
+export const createShareCode = async (story, { includePictures = true } = {}) => {
+  requireCompression();
+  const { profileId: _profileId, ...shared } = story;
+  const pages = shared.pages.map(page => ({ ...page, audio: null, drawingStrokes: null, ...(includePictures ? {} : { drawing: null, image: null }) }));
+  const json = JSON.stringify({ ...shared, pages });
+  const compressed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return CODE_PREFIX + toBase64Url(compressed);
+};
+
+// Accepts a bare code or a whole share link; returns a validated story
+export const readShareCode = async (input) => {
+  requireCompression();
+  let code = input.trim();
+  const linkIndex = code.indexOf(`#${LINK_PARAM}=`);
+  if (linkIndex !== -1) code = code.slice(linkIndex + LINK_PARAM.length + 2);
+  code = code.replace(/\s+/g, '');
+
+  if (!code.startsWith(CODE_PREFIX)) {
+    throw new ShareCodeError("That doesn't look like a story code. Story codes start with \"S1.\"");
+  }
+
+  let json;
+  try {
+    const bytes = await pipeBytes(fromBase64Url(code.slice(CODE_PREFIX.length)), new DecompressionStream('deflate-raw'), MAX_STORY_BYTES);
+    json = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    if (error instanceof ShareCodeError) throw error;
+    throw new ShareCodeError('This story code is incomplete or damaged. Check that the whole code was copied.');
+  }
+
+  const { story, errors } = validateStory(json, 'story');
+  if (!story || errors.length > 0) {
+    throw new ShareCodeError(`This story code has problems: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+  }
+  return story;
+};
+
+export const createShareLink = (code) => {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}#${LINK_PARAM}=${code}`;
+};
+
+// The story code in the current URL, if the app was opened from a share link
+export const getLinkedShareCode = () => {
+  const hash = window.location.hash;
+  const prefix = `#${LINK_PARAM}=`;
+  return hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+};
+
+export const clearLinkedShareCode = () => {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, '', pathname + search);
+};
@@ -0,0 +1,698 @@
+// IndexedDB Storage Service
+// Stories, pages and binary assets (drawings, images, audio) live in separate
+// object stores so large media no longer counts against the localStorage quota.
+
+import { validateStory, generateId, mergeStoryVersions, upgradeStickers } from './storySchema';
+
+const DB_NAME = 'story-creator';
+const DB_VERSION = 5;
+
+// Page fields that hold data URLs and are persisted as Blobs in the assets store
+export const ASSET_FIELDS = ['drawing', 'image', 'audio'];
+
+let dbPromise = null;
+let writeQueue = Promise.resolve();
+
+// Last story object and asset data URL written to (or read from) the database,
+// used to skip unchanged stories and to avoid re-encoding unchanged assets
+const savedStories = new Map();
+const savedAssets = new Map();
+const savedTrash = new Map();
+const savedRevs = new Map();
+const savedProfiles = new Map();
+const savedSettingsJSON = new Map();
+
+// Lets other open tabs know when the library changes
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel('story-creator-library') : null;
+
+const broadcast = (message) => {
+  if (channel) channel.postMessage(message);
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore('stories', { keyPath: 'id' });
+          const pages = db.createObjectStore('pages', { keyPath: ['storyId', 'id'] });
+          pages.createIndex('storyId', 'storyId');
+          const assets = db.createObjectStore('assets', { keyPath: 'id' });
+          assets.createIndex('storyId', 'storyId');
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        if (event.oldVersion < 2) {
+          const revisions = db.createObjectStore('revisions', { keyPath: 'id' });
+          revisions.createIndex('storyId', 'storyId');
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore('trash', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 4) {
+          db.createObjectStore('profiles', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 5) {
+          const gallery = db.createObjectStore('gallery', { keyPath: 'id' });
+          gallery.createIndex('profileId', 'profileId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Storage is blocked by another open tab. Please close it and reload.'));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Serialize writes so a slow save never lands after a newer one
+const enqueue = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+const isDataURL = (value) => typeof value === 'string' && value.startsWith('data:');
+
+const getAssetId = (storyId, pageId, field) => `${storyId}:${pageId}:${field}`;
+
+const dataURLToBlob = async (dataURL) => {
+  const response = await fetch(dataURL);
+  return response.blob();
+};
+
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Split a story into its story record, page records and asset references
+const toRecords = (story) => {
+  const { pages = [], ...storyFields } = story;
+  const storyRecord = { ...storyFields, pageIds: pages.map(p => p.id) };
+  const assetRefs = [];
+
+  const pageRecords = pages.map(page => {
+    const record = { ...page, storyId: story.id, assets: {} };
+    ASSET_FIELDS.forEach(field => {
+      if (isDataURL(page[field])) {
+        const assetId = getAssetId(story.id, page.id, field);
+        record.assets[field] = assetId;
+        record[field] = null;
+        assetRefs.push({ id: assetId, storyId: story.id, pageId: page.id, field, dataURL: page[field] });
+      }
+    });
+    return record;
+  });
+
+  return { storyRecord, pageRecords, assetRefs };
+};
+
+const deleteByStoryIndex = async (store, storyId, keepKeys = null) => {
+  const keys = await requestToPromise(store.index('storyId').getAllKeys(storyId));
+  keys
+    .filter(key => !keepKeys || !keepKeys.has(JSON.stringify(key)))
+    .forEach(key => store.delete(key));
+};
+
+// Thrown when another tab saves a story between our conflict check and our write
+class WriteConflictError extends Error {}
+
+const readStoryRevs = async (db, ids) => {
+  const tx = db.transaction('stories', 'readonly');
+  const store = tx.objectStore('stories');
+  const records = await Promise.all(ids.map(id => requestToPromise(store.get(id))));
+  return new Map(ids.map((id, i) => [id, records[i]?.rev ?? null]));
+};
+
+const tryWriteStories = async (stories) => {
+  let pending = stories.filter(s => savedStories.get(s.id) !== s);
+  const currentIds = new Set(stories.map(s => s.id));
+  const removedIds = [...savedStories.keys()].filter(id => !currentIds.has(id));
+  const merged = [];
+  const conflicts = [];
+  if (pending.length === 0 && removedIds.length === 0) return { merged, conflicts };
+
+  const db = await openDatabase();
+
+  // Stories another tab saved since we last synced are merged page by page
+  // instead of being overwritten
+  const storedRevs = await readStoryRevs(db, pending.map(s => s.id));
+  const expectedRevs = new Map(pending.map(s => [s.id, savedRevs.get(s.id) ?? null]));
+  const outdated = pending.filter(s => storedRevs.get(s.id) !== expectedRevs.get(s.id));
+
+  if (outdated.length > 0) {
+    const theirs = new Map((await readStories(db, outdated.map(s => s.id))).map(entry => [entry.story.id, entry.story]));
+    pending = pending.map(mine => {
+      if (!outdated.includes(mine)) return mine;
+      const result = mergeStoryVersions(savedStories.get(mine.id), mine, theirs.get(mine.id));
+      expectedRevs.set(mine.id, storedRevs.get(mine.id));
+      merged.push({ mine, merged: result.story });
+      conflicts.push(...result.conflicts);
+      return result.story;
+    });
+  }
+
+  const prepared = pending.map(toRecords);
+
+  // Blobs must be created before the transaction opens, since awaiting
+  // anything other than an IndexedDB request would let it auto-commit
+  const assetWrites = [];
+  for (const { assetRefs } of prepared) {
+    for (const ref of assetRefs) {
+      if (savedAssets.get(ref.id) === ref.dataURL) continue;
+      const blob = await dataURLToBlob(ref.dataURL);
+      assetWrites.push({ ref, blob });
+    }
+  }
+
+  const tx = db.transaction(['stories', 'pages', 'assets'], 'readwrite');
+  const done = transactionDone(tx);
+  const storyStore = tx.objectStore('stories');
+  const pageStore = tx.objectStore('pages');
+  const assetStore = tx.objectStore('assets');
+
+  for (const { storyRecord } of prepared) {
+    const stored = await requestToPromise(storyStore.get(storyRecord.id));
+    if ((stored?.rev ?? null) !== expectedRevs.get(storyRecord.id)) {
+      done.catch(() => {});
+      tx.abort();
+      throw new WriteConflictError();
+    }
+  }
+
+  for (const { storyRecord, pageRecords, assetRefs } of prepared) {
+    storyStore.put({ ...storyRecord, rev: (expectedRevs.get(storyRecord.id) ?? 0) + 1 });
+    pageRecords.forEach(record => pageStore.put(record));
+    await deleteByStoryIndex(pageStore, storyRecord.id, new Set(pageRecords.map(r => JSON.stringify([r.storyId, r.id]))));
+    await deleteByStoryIndex(assetStore, storyRecord.id, new Set(assetRefs.map(ref => JSON.stringify(ref.id))));
+  }
+
+  assetWrites.forEach(({ ref, blob }) => {
+    assetStore.put({ id: ref.id, storyId: ref.storyId, pageId: ref.pageId, field: ref.field, blob });
+  });
+
+  for (const id of removedIds) {
+    storyStore.delete(id);
+    await deleteByStoryIndex(pageStore, id);
+    await deleteByStoryIndex(assetStore, id);
+  }
+
+  await done;
+
+  pending.forEach(story => {
+    savedStories.set(story.id, story);
+    savedRevs.set(story.id, (expectedRevs.get(story.id) ?? 0) + 1);
+  });
+  removedIds.forEach(id => {
+    savedStories.delete(id);
+    savedRevs.delete(id);
+  });
+  prepared.forEach(({ storyRecord, assetRefs }) => {
+    forgetAssets(storyRecord.id);
+    assetRefs.forEach(ref => savedAssets.set(ref.id, ref.dataURL));
+  });
+  removedIds.forEach(forgetAssets);
+
+  broadcast({ type: 'stories', changedIds: pending.map(s => s.id), removedIds });
+  return { merged, conflicts };
+};
+
+const writeStories = async (stories) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await tryWriteStories(stories);
+    } catch (error) {
+      if (!(error instanceof WriteConflictError) || attempt >= 3) throw error;
+    }
+  }
+};
+
+const forgetAssets = (storyId) => {
+  [...savedAssets.keys()]
+    .filter(key => key.startsWith(`${storyId}:`))
+    .forEach(key => savedAssets.delete(key));
+};
+
+const rememberAssets = (story) => {
+  story.pages.forEach(page => {
+    ASSET_FIELDS.forEach(field => {
+      if (isDataURL(page[field])) savedAssets.set(getAssetId(story.id, page.id, field), page[field]);
+    });
+  });
+};
+
+// Returns [{ story, rev }] for the given story ids, or for every story
+const readStories = async (db, ids = null) => {
+  const tx = db.transaction(['stories', 'pages', 'assets'], 'readonly');
+  const storyStore = tx.objectStore('stories');
+  const pageIndex = tx.objectStore('pages').index('storyId');
+  const assetIndex = tx.objectStore('assets').index('storyId');
+
+  const [storyRecords, pageRecords, assetRecords] = ids
+    ? await Promise.all([
+      Promise.all(ids.map(id => requestToPromise(storyStore.get(id)))).then(records => records.filter(Boolean)),
+      Promise.all(ids.map(id => requestToPromise(pageIndex.getAll(id)))).then(lists => lists.flat()),
+      Promise.all(ids.map(id => requestToPromise(assetIndex.getAll(id)))).then(lists => lists.flat())
+    ])
+    : await Promise.all([
+      requestToPromise(storyStore.getAll()),
+      requestToPromise(tx.objectStore('pages').getAll()),
+      requestToPromise(tx.objectStore('assets').getAll())
+    ]);
+
+  const assetURLs = new Map();
+  for (const asset of assetRecords) {
+    assetURLs.set(asset.id, await blobToDataURL(asset.blob));
+  }
+
+  const pagesByKey = new Map(pageRecords.map(record => [JSON.stringify([record.storyId, record.id]), record]));
+
+  return storyRecords.map(({ pageIds = [], rev = null, ...storyFields }) => {
+    const pages = pageIds
+      .map(pageId => pagesByKey.get(JSON.stringify([storyFields.id, pageId])))
+      .filter(Boolean)
+      .map(({ assets = {}, ...page }) => {
+        delete page.storyId;
+        Object.entries(assets).forEach(([field, assetId]) => {
+          page[field] = assetURLs.get(assetId) ?? null;
+        });
+        return page;
+      });
+    return { story: { ...storyFields, pages }, rev };
+  });
+};
+
+const readMeta = async (db, key) => {
+  const tx = db.transaction('meta', 'readonly');
+  const record = await requestToPromise(tx.objectStore('meta').get(key));
+  return record?.value;
+};
+
+const writeMeta = async (db, key, value) => {
+  const tx = db.transaction('meta', 'readwrite');
+  tx.objectStore('meta').put({ key, value });
+  await transactionDone(tx);
+};
+
+// Run the schema migrations on stored data; problems are logged rather than
+// dropping a child's work
+const normalizeStories = (stories) => stories
+  .map((raw, i) => {
+    const { story, errors } = validateStory(raw, `stories[${i}]`);
+    if (errors.length > 0) console.warn(`Stored story "${raw?.title}" has problems:`, errors);
+    return story;
+  })
+  .filter(Boolean);
+
+const parseLocalStorage = (key) => {
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    console.error(`Could not parse "${key}" from localStorage:`, error);
+    return null;
+  }
+};
+
+// One-time move of the old localStorage data into IndexedDB
+const migrateFromLocalStorage = async (db) => {
+  if (await readMeta(db, 'migratedFromLocalStorage')) return;
+
+  const legacyStories = parseLocalStorage('stories');
+  const legacySettings = parseLocalStorage('settings');
+
+  if (Array.isArray(legacyStories) && legacyStories.length > 0) {
+    await tryWriteStories(normalizeStories(legacyStories));
+  }
+  if (legacySettings) {
+    await writeMeta(db, 'settings', legacySettings);
+  }
+
+  await writeMeta(db, 'migratedFromLocalStorage', new Date().toISOString());
+  localStorage.removeItem('stories');
+  localStorage.removeItem('settings');
+};
+
+// Libraries saved before profiles existed are given to a first profile,
+// along with the shared settings and daily challenge state
+const migrateToProfiles = async (db) => {
+  const existing = await requestToPromise(db.transaction('profiles', 'readonly').objectStore('profiles').getAll());
+  if (existing.length > 0) return;
+
+  const profile = createProfile({
+    name: 'Storyteller',
+    lastDailyChallengeDate: localStorage.getItem('lastDailyChallengeDate')
+  });
+  const legacySettings = await readMeta(db, 'settings');
+
+  const tx = db.transaction(['profiles', 'stories', 'trash', 'meta'], 'readwrite');
+  const done = transactionDone(tx);
+  tx.objectStore('profiles').put(profile);
+
+  const storyStore = tx.objectStore('stories');
+  const storyRecords = await requestToPromise(storyStore.getAll());
+  storyRecords
+    .filter(record => record.profileId === undefined)
+    .forEach(record => storyStore.put({ ...record, profileId: profile.id }));
+
+  const trashStore = tx.objectStore('trash');
+  const trashItems = await requestToPromise(trashStore.getAll());
+  trashItems
+    .filter(item => item.profileId === undefined)
+    .forEach(item => trashStore.put({ ...item, profileId: profile.id }));
+
+  if (legacySettings) {
+    tx.objectStore('meta').put({ key: `settings:${profile.id}`, value: legacySettings });
+    tx.objectStore('meta').delete('settings');
+  }
+
+  await done;
+  localStorage.removeItem('lastDailyChallengeDate');
+};
+
+export const createProfile = (overrides = {}) => ({
+  id: generateId(),
+  name: 'New Author',
+  avatar: '🦄',
+  createdAt: new Date().toISOString(),
+  lastDailyChallengeDate: null,
+  gameStats: {},
+  ...overrides
+});
+
+const readProfiles = async (db) => {
+  const tx = db.transaction('profiles', 'readonly');
+  const profiles = await requestToPromise(tx.objectStore('profiles').getAll());
+  return profiles.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+const readAllSettings = async (db, profiles) => {
+  const entries = await Promise.all(profiles.map(async profile => [profile.id, await readMeta(db, `settings:${profile.id}`)]));
+  return Object.fromEntries(entries.filter(([, settings]) => settings));
+};
+
+export const loadLibrary = async () => {
+  const db = await openDatabase();
+  await enqueue(() => migrateFromLocalStorage(db));
+  await enqueue(() => migrateToProfiles(db));
+
+  const entries = await readStories(db);
+  const stories = normalizeStories(entries.map(entry => entry.story));
+  const trash = await readTrash(db);
+  const profiles = await readProfiles(db);
+  const settings = await readAllSettings(db, profiles);
+
+  savedStories.clear();
+  savedRevs.clear();
+  entries.forEach(entry => savedRevs.set(entry.story.id, entry.rev));
+  stories.forEach(story => {
+    savedStories.set(story.id, story);
+    rememberAssets(story);
+  });
+  savedSettingsJSON.clear();
+  Object.entries(settings).forEach(([profileId, value]) => savedSettingsJSON.set(profileId, JSON.stringify(value)));
+
+  savedTrash.clear();
+  trash.forEach(item => savedTrash.set(item.id, item));
+  savedProfiles.clear();
+  profiles.forEach(profile => savedProfiles.set(profile.id, profile));
+
+  await removeOrphanedRevisions(db, new Set([
+    ...stories.map(s => s.id),
+    ...trash.filter(item => item.type === 'story').map(item => item.item.id)
+  ]));
+
+  return { stories, settings, trash, profiles };
+};
+
+export const saveStories = (stories) => enqueue(() => writeStories(stories));
+
+// Items deleted before a schema change are upgraded as they are read
+const upgradeTrashItem = (item) => {
+  if (item.type === 'story') {
+    const [story] = normalizeStories([item.item]);
+    return story ? { ...item, item: story } : item;
+  }
+  return { ...item, item: { ...item.item, stickers: upgradeStickers(item.item.stickers) } };
+};
+
+// Trash items are { id, type: 'story' | 'page', item, deletedAt, position, ... }
+const readTrash = async (db) => {
+  const tx = db.transaction('trash', 'readonly');
+  const items = await requestToPromise(tx.objectStore('trash').getAll());
+  return items.map(upgradeTrashItem);
+};
+
+const writeTrash = async (trash) => {
+  const changed = trash.filter(item => savedTrash.get(item.id) !== item);
+  const currentIds = new Set(trash.map(item => item.id));
+  const removedIds = [...savedTrash.keys()].filter(id => !currentIds.has(id));
+  if (changed.length === 0 && removedIds.length === 0) return;
+
+  const db = await openDatabase();
+  const tx = db.transaction('trash', 'readwrite');
+  const store = tx.objectStore('trash');
+  changed.forEach(item => store.put(item));
+  removedIds.forEach(id => store.delete(id));
+  await transactionDone(tx);
+
+  changed.forEach(item => savedTrash.set(item.id, item));
+  removedIds.forEach(id => savedTrash.delete(id));
+  broadcast({ type: 'trash' });
+};
+
+export const saveTrash = (trash) => enqueue(() => writeTrash(trash));
+
+// Revisions outlive a deleted story while it sits in the trash, and are
+// cleaned up here once the story is gone for good
+const removeOrphanedRevisions = async (db, storyIds) => {
+  const tx = db.transaction('revisions', 'readwrite');
+  const store = tx.objectStore('revisions');
+  const revisions = await requestToPromise(store.getAll());
+  revisions
+    .filter(revision => !storyIds.has(revision.storyId))
+    .forEach(revision => store.delete(revision.id));
+  await transactionDone(tx);
+};
+
+// Each profile has its own settings, stored under settings:<profileId>
+export const saveSettings = (profileId, settings) => enqueue(async () => {
+  const json = JSON.stringify(settings);
+  if (json === savedSettingsJSON.get(String(profileId))) return;
+  const db = await openDatabase();
+  await writeMeta(db, `settings:${profileId}`, settings);
+  savedSettingsJSON.set(String(profileId), json);
+  broadcast({ type: 'settings', profileId });
+});
+
+const writeProfiles = async (profiles) => {
+  const changed = profiles.filter(profile => savedProfiles.get(profile.id) !== profile);
+  const currentIds = new Set(profiles.map(profile => profile.id));
+  const removedIds = [...savedProfiles.keys()].filter(id => !currentIds.has(id));
+  if (changed.length === 0 && removedIds.length === 0) return;
+
+  const db = await openDatabase();
+  const tx = db.transaction(['profiles', 'meta', 'gallery'], 'readwrite');
+  changed.forEach(profile => tx.objectStore('profiles').put(profile));
+  removedIds.forEach(id => {
+    tx.objectStore('profiles').delete(id);
+    tx.objectStore('meta').delete(`settings:${id}`);
+    const gallery = tx.objectStore('gallery');
+    const galleryKeys = gallery.index('profileId').getAllKeys(id);
+    galleryKeys.onsuccess = () => galleryKeys.result.forEach(key => gallery.delete(key));
+  });
+  await transactionDone(tx);
+
+  changed.forEach(profile => savedProfiles.set(profile.id, profile));
+  removedIds.forEach(id => {
+    savedProfiles.delete(id);
+    savedSettingsJSON.delete(String(id));
+  });
+  broadcast({ type: 'profiles' });
+};
+
+export const saveProfiles = (profiles) => enqueue(() => writeProfiles(profiles));
+
+// Tab Sync
+// Other tabs announce their saves over a BroadcastChannel; the handlers get
+// freshly read data to fold into this tab's state.
+export const subscribeToLibraryChanges = ({ onStories, onTrash, onSettings, onProfiles }) => {
+  if (!channel) return () => {};
+
+  const handleMessage = (event) => enqueue(async () => {
+    const db = await openDatabase();
+    const message = event.data;
+
+    if (message.type === 'stories') {
+      const updated = await readStories(db, message.changedIds);
+      onStories({ updated, removedIds: message.removedIds });
+    } else if (message.type === 'trash') {
+      const trash = await readTrash(db);
+      savedTrash.clear();
+      trash.forEach(item => savedTrash.set(item.id, item));
+      onTrash(trash);
+    } else if (message.type === 'settings') {
+      const settings = await readMeta(db, `settings:${message.profileId}`);
+      if (!settings) return;
+      savedSettingsJSON.set(String(message.profileId), JSON.stringify(settings));
+      onSettings(message.profileId, settings);
+    } else if (message.type === 'profiles') {
+      const profiles = await readProfiles(db);
+      savedProfiles.clear();
+      profiles.forEach(profile => savedProfiles.set(profile.id, profile));
+      onProfiles(profiles);
+    }
+  }).catch(error => console.error('Failed to sync with another tab:', error));
+
+  channel.addEventListener('message', handleMessage);
+  return () => channel.removeEventListener('message', handleMessage);
+};
+
+// Decides which remote changes can be taken as-is. A story this tab has edited
+// but not saved yet is left alone; its next save merges the two versions.
+// Returns the stories to swap in ({ from, to }), to remove and to add.
+export const applyRemoteStories = (localStories, { updated, removedIds }) => {
+  const localById = new Map(localStories.map(s => [s.id, s]));
+  const updates = [];
+  const additions = [];
+  const removals = [];
+
+  updated.forEach(({ story: raw, rev }) => {
+    const [story] = normalizeStories([raw]);
+    if (!story) return;
+    const local = localById.get(story.id);
+    if (local && local !== savedStories.get(story.id)) return;
+
+    savedStories.set(story.id, story);
+    savedRevs.set(story.id, rev);
+    forgetAssets(story.id);
+    rememberAssets(story);
+    if (local) updates.push({ from: local, to: story });
+    else additions.push(story);
+  });
+
+  removedIds.forEach(id => {
+    const local = localById.get(id);
+    if (local && local !== savedStories.get(id)) return;
+    savedStories.delete(id);
+    savedRevs.delete(id);
+    forgetAssets(id);
+    if (local) removals.push(local);
+  });
+
+  return { updates, additions, removals };
+};
+
+// Story Revisions
+// Whole-story snapshots, either named by the user or taken automatically at the
+// start of an editing session. Only the newest automatic ones are kept.
+const MAX_AUTO_REVISIONS = 30;
+
+const storyContent = (story) => JSON.stringify({ title: story.title, pages: story.pages });
+
+export const listRevisions = async (storyId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('revisions', 'readonly');
+  const revisions = await requestToPromise(tx.objectStore('revisions').index('storyId').getAll(storyId));
+  return revisions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const saveRevision = async (story, { name = '', kind = 'manual' } = {}) => {
+  const db = await openDatabase();
+  const revision = {
+    id: generateId(),
+    storyId: story.id,
+    name,
+    kind,
+    createdAt: new Date().toISOString(),
+    story
+  };
+  const tx = db.transaction('revisions', 'readwrite');
+  tx.objectStore('revisions').put(revision);
+  await transactionDone(tx);
+  return revision;
+};
+
+export const deleteRevision = async (revisionId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('revisions', 'readwrite');
+  tx.objectStore('revisions').delete(revisionId);
+  await transactionDone(tx);
+};
+
+// schedule is 'session' (every time the editor opens) or 'daily'. Nothing is
+// saved when the story is unchanged since the latest snapshot.
+export const saveAutoRevision = async (story, schedule) => {
+  const revisions = await listRevisions(story.id);
+  const latest = revisions[0];
+  if (latest && storyContent(latest.story) === storyContent(story)) return null;
+
+  const today = new Date().toDateString();
+  const autoRevisions = revisions.filter(r => r.kind === 'auto');
+  if (schedule === 'daily' && autoRevisions.some(r => new Date(r.createdAt).toDateString() === today)) return null;
+
+  const revision = await saveRevision(story, { kind: 'auto' });
+  await Promise.all(autoRevisions.slice(MAX_AUTO_REVISIONS - 1).map(r => deleteRevision(r.id)));
+  return revision;
+};
+
+// Coloring Gallery
+// Pictures finished in the coloring game, kept per profile. Each one stores the
+// colored picture as a Blob, plus the line art and fills it was made from so it
+// can be opened again and colored some more.
+export const listGalleryPictures = async (profileId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('gallery', 'readonly');
+  const records = await requestToPromise(tx.objectStore('gallery').index('profileId').getAll(profileId));
+  const pictures = await Promise.all(records.map(async record => ({ ...record, picture: await blobToDataURL(record.picture) })));
+  return pictures.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Saving a picture that is already in the gallery replaces it
+export const saveGalleryPicture = async ({ id = generateId(), profileId, name, lineArtId, fills, picture }) => {
+  const db = await openDatabase();
+  const record = {
+    id,
+    profileId,
+    name,
+    lineArtId,
+    fills,
+    createdAt: new Date().toISOString(),
+    picture: await dataURLToBlob(picture)
+  };
+  const tx = db.transaction('gallery', 'readwrite');
+  tx.objectStore('gallery').put(record);
+  await transactionDone(tx);
+  return { ...record, picture };
+};
+
+export const deleteGalleryPicture = async (pictureId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('gallery', 'readwrite');
+  tx.objectStore('gallery').delete(pictureId);
+  await transactionDone(tx);
+};
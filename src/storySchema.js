@@ -0,0 +1,379 @@
+// Story Schema
+// Every story carries a schemaVersion. Data saved by older versions is upgraded
+// through the migration chain, then validateStory checks field types and
+// normalizes pages so the rest of the app can rely on one shape.
+
+export const CURRENT_SCHEMA_VERSION = 2;
+
+let lastId = 0;
+
+// Date-based ids like before, but never repeated within a session
+export const generateId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+};
+
+export const countWords = (pages) => pages.reduce((total, page) => {
+  return total + (page.text?.split(' ').filter(w => w.length > 0).length || 0);
+}, 0);
+
+export const createPage = (overrides = {}) => ({
+  id: generateId(),
+  text: '',
+  image: null,
+  audio: null,
+  background: 'default',
+  stickers: [],
+  emotion: null,
+  drawing: null,
+  drawingStrokes: null,
+  ...overrides
+});
+
+const STICKERS_PER_ROW = 8;
+
+// Stickers are placed by their centre as a fraction of the page's width and
+// height; scale 1 is the normal size and higher z sits on top. Without a
+// position, the nth sticker goes in rows across the top left of the page.
+export const createSticker = (emoji, slot = 0, overrides = {}) => ({
+  id: generateId(),
+  emoji,
+  x: 0.08 + (slot % STICKERS_PER_ROW) * 0.08,
+  y: 0.1 + Math.floor(slot / STICKERS_PER_ROW) * 0.12,
+  scale: 1,
+  rotation: 0,
+  z: slot,
+  ...overrides
+});
+
+// Stickers were plain emoji strings before schema version 2
+export const upgradeStickers = (stickers) => (Array.isArray(stickers)
+  ? stickers.map((sticker, i) => (typeof sticker === 'string' ? createSticker(sticker, i) : sticker))
+  : stickers);
+
+export const createStory = (overrides = {}) => {
+  const pages = overrides.pages || [];
+  return {
+    id: generateId(),
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    title: 'My New Story',
+    createdAt: new Date().toISOString(),
+    wordCount: countWords(pages),
+    badges: [],
+    backgroundMusic: 'none',
+    completionDate: null,
+    dailyProgress: {},
+    ...overrides,
+    pages
+  };
+};
+
+// migrations[n] upgrades a story from version n to version n + 1
+const migrations = {
+  // Unversioned stories: pages were built by several code paths, so some lack
+  // drawing, image or audio fields
+  0: (story) => ({
+    ...story,
+    pages: Array.isArray(story.pages)
+      ? story.pages.map(page => (page && typeof page === 'object'
+        ? { image: null, audio: null, drawing: null, stickers: [], emotion: null, background: 'default', ...page }
+        : page))
+      : story.pages,
+    schemaVersion: 1
+  }),
+  // Emoji strings become positioned stickers in the same spots they used to show
+  1: (story) => ({
+    ...story,
+    pages: Array.isArray(story.pages)
+      ? story.pages.map(page => (page && typeof page === 'object' ? { ...page, stickers: upgradeStickers(page.stickers) } : page))
+      : story.pages,
+    schemaVersion: 2
+  })
+};
+
+export const migrateStory = (story) => {
+  let migrated = story;
+  let version = Number.isInteger(story.schemaVersion) ? story.schemaVersion : 0;
+  while (version < CURRENT_SCHEMA_VERSION) {
+    migrated = migrations[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+};
+
+const describe = (value) => {
+  if (value === null || value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+};
+
+const isId = (value) => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.length > 0);
+
+const isMediaSource = (value) => value === null || (typeof value === 'string' && /^(data:|https?:|blob:)/.test(value));
+
+const validatePage = (input, path, errors) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ path, message: `expected a page but found ${describe(input)}` });
+    return null;
+  }
+
+  const page = { ...createPage(), ...input };
+
+  if (input.id !== undefined && !isId(input.id)) errors.push({ path: `${path}.id`, message: `expected a number or text id but found ${describe(input.id)}` });
+
+  if (typeof page.text !== 'string') errors.push({ path: `${path}.text`, message: `expected text but found ${describe(page.text)}` });
+  if (typeof page.background !== 'string') errors.push({ path: `${path}.background`, message: `expected a background name but found ${describe(page.background)}` });
+  if (page.emotion !== null && typeof page.emotion !== 'string') errors.push({ path: `${path}.emotion`, message: `expected an emoji but found ${describe(page.emotion)}` });
+
+  if (!Array.isArray(page.stickers)) {
+    errors.push({ path: `${path}.stickers`, message: `expected a list of stickers but found ${describe(page.stickers)}` });
+  } else {
+    page.stickers = page.stickers.map((sticker, i) => {
+      const stickerPath = `${path}.stickers[${i}]`;
+      if (!sticker || typeof sticker !== 'object' || Array.isArray(sticker)) {
+        errors.push({ path: stickerPath, message: `expected a sticker but found ${describe(sticker)}` });
+        return sticker;
+      }
+      const normalized = { ...createSticker(sticker.emoji, i), ...sticker };
+      if (typeof normalized.emoji !== 'string' || normalized.emoji.length === 0) errors.push({ path: `${stickerPath}.emoji`, message: `expected an emoji but found ${describe(sticker.emoji)}` });
+      ['x', 'y', 'scale', 'rotation', 'z'].forEach(field => {
+        if (typeof normalized[field] !== 'number' || !Number.isFinite(normalized[field])) {
+          errors.push({ path: `${stickerPath}.${field}`, message: `expected a number but found ${describe(normalized[field])}` });
+        }
+      });
+      if (normalized.scale <= 0) errors.push({ path: `${stickerPath}.scale`, message: 'expected a size bigger than zero' });
+      return normalized;
+    });
+  }
+
+  ['drawing', 'image', 'audio'].forEach(field => {
+    if (!isMediaSource(page[field])) errors.push({ path: `${path}.${field}`, message: `expected an embedded file or link but found ${describe(page[field])}` });
+  });
+
+  if (page.drawingStrokes !== null && (typeof page.drawingStrokes !== 'object' || !Array.isArray(page.drawingStrokes.strokes))) {
+    errors.push({ path: `${path}.drawingStrokes`, message: `expected drawing strokes but found ${describe(page.drawingStrokes)}` });
+  }
+
+  return page;
+};
+
+// Returns the normalized story plus a list of { path, message } problems.
+// An empty list means the story is safe to use as-is.
+export const validateStory = (input, path = 'story') => {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { story: null, errors: [{ path, message: `expected a story but found ${describe(input)}` }] };
+  }
+
+  // Stories saved before versioning have no schemaVersion at all
+  const { schemaVersion } = input;
+  if (Number.isInteger(schemaVersion) && schemaVersion > CURRENT_SCHEMA_VERSION) {
+    return { story: null, errors: [{ path: `${path}.schemaVersion`, message: `this story was made with a newer version of Story Creator (version ${schemaVersion})` }] };
+  }
+  if (schemaVersion !== undefined && !(Number.isInteger(schemaVersion) && schemaVersion >= 0)) {
+    return { story: null, errors: [{ path: `${path}.schemaVersion`, message: `expected a version number from 0 to ${CURRENT_SCHEMA_VERSION} but found ${typeof schemaVersion === 'number' ? schemaVersion : describe(schemaVersion)}` }] };
+  }
+
+  const migrated = migrateStory(input);
+  const story = { ...createStory(), ...migrated };
+
+  if (migrated.id !== undefined && !isId(migrated.id)) errors.push({ path: `${path}.id`, message: `expected a number or text id but found ${describe(migrated.id)}` });
+
+  if (typeof story.title !== 'string') errors.push({ path: `${path}.title`, message: `expected a title but found ${describe(story.title)}` });
+  if (typeof story.createdAt !== 'string' || Number.isNaN(Date.parse(story.createdAt))) {
+    errors.push({ path: `${path}.createdAt`, message: `expected a date but found ${describe(story.createdAt)}` });
+  }
+  if (story.completionDate !== null && (typeof story.completionDate !== 'string' || Number.isNaN(Date.parse(story.completionDate)))) {
+    errors.push({ path: `${path}.completionDate`, message: `expected a date but found ${describe(story.completionDate)}` });
+  }
+  if (!Array.isArray(story.badges) || story.badges.some(b => typeof b !== 'string')) {
+    errors.push({ path: `${path}.badges`, message: 'expected a list of badge names' });
+  }
+  if (!story.dailyProgress || typeof story.dailyProgress !== 'object' || Array.isArray(story.dailyProgress)) {
+    errors.push({ path: `${path}.dailyProgress`, message: `expected daily word counts but found ${describe(story.dailyProgress)}` });
+  }
+
+  if (!Array.isArray(migrated.pages)) {
+    errors.push({ path: `${path}.pages`, message: `expected a list of pages but found ${describe(migrated.pages)}` });
+    story.pages = [];
+  } else {
+    story.pages = migrated.pages
+      .map((page, i) => validatePage(page, `${path}.pages[${i}]`, errors))
+      .filter(Boolean);
+
+    const seen = new Set();
+    story.pages.forEach((page, i) => {
+      if (seen.has(page.id)) errors.push({ path: `${path}.pages[${i}].id`, message: `page id ${page.id} is used more than once` });
+      seen.add(page.id);
+    });
+  }
+
+  story.wordCount = countWords(story.pages.filter(p => typeof p.text === 'string'));
+
+  return { story, errors };
+};
+
+// Accepts either a full backup ({ stories, settings }) or a single exported story
+export const parseImportData = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { stories: [], settings: null, errors: [{ path: 'file', message: 'this file does not contain a story or a backup' }] };
+  }
+
+  if (!('stories' in data)) {
+    const { story, errors } = validateStory(data, 'story');
+    return { stories: story ? [story] : [], settings: null, errors };
+  }
+
+  if (!Array.isArray(data.stories)) {
+    return { stories: [], settings: null, errors: [{ path: 'stories', message: `expected a list of stories but found ${describe(data.stories)}` }] };
+  }
+
+  const errors = [];
+  const stories = data.stories
+    .map((raw, i) => {
+      const result = validateStory(raw, `stories[${i}]`);
+      errors.push(...result.errors);
+      return result.story;
+    })
+    .filter(Boolean);
+
+  const settings = data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings) ? data.settings : null;
+  if (data.settings !== undefined && !settings) {
+    errors.push({ path: 'settings', message: `expected settings but found ${describe(data.settings)}` });
+  }
+
+  return { stories, settings, errors };
+};
+
+// Library stories that failed validation are kept as they are, so nothing
+// here can assume the fields have the right types
+const contentSignature = (story) => JSON.stringify([
+  String(story.title ?? '').trim().toLowerCase(),
+  (Array.isArray(story.pages) ? story.pages : []).map(p => [
+    String(p?.text ?? '').trim(),
+    p?.emotion,
+    p?.background,
+    (Array.isArray(p?.stickers) ? p.stickers : []).map(sticker => [sticker?.emoji, sticker?.x, sticker?.y, sticker?.scale, sticker?.rotation, sticker?.z])
+  ])
+]);
+
+// Finds the library story an incoming story duplicates, if any
+export const findMatchingStory = (library, incoming) => {
+  const byId = library.find(s => s.id === incoming.id);
+  if (byId) return { story: byId, reason: 'same id' };
+
+  const signature = contentSignature(incoming);
+  const byContent = library.find(s => contentSignature(s) === signature);
+  if (byContent) return { story: byContent, reason: 'same title and pages' };
+
+  return null;
+};
+
+// choices[i] is 'import', 'skip', 'replace' or 'keepBoth' for incoming[i];
+// matches[i] is the findMatchingStory result computed when the import was previewed
+export const mergeImportedStories = (library, incoming, choices, matches) => {
+  let merged = [...library];
+  const usedIds = new Set(library.map(s => s.id));
+
+  incoming.forEach((story, i) => {
+    const choice = choices[i];
+    if (choice === 'skip') return;
+
+    const match = matches[i];
+    if (choice === 'replace' && match && merged.some(s => s.id === match.story.id)) {
+      merged = merged.map(s => s.id === match.story.id ? { ...story, id: match.story.id } : s);
+      return;
+    }
+
+    const id = usedIds.has(story.id) ? generateId() : story.id;
+    usedIds.add(id);
+    merged.push({ ...story, id });
+  });
+
+  return merged;
+};
+
+const PAGE_DIFF_FIELDS = ['text', 'emotion', 'background', 'stickers', 'drawing', 'image', 'audio'];
+
+// Compares two versions of a story's pages by page id. Each row has a status of
+// 'added', 'removed', 'changed', 'moved' or 'unchanged' plus the changed fields.
+export const diffStoryPages = (beforePages, afterPages) => {
+  const afterById = new Map(afterPages.map((page, index) => [page.id, { page, index }]));
+  const beforeIds = new Set(beforePages.map(p => p.id));
+
+  const rows = beforePages.map((page, index) => {
+    const after = afterById.get(page.id);
+    if (!after) {
+      return { status: 'removed', before: page, after: null, beforeIndex: index, afterIndex: null, fields: [] };
+    }
+    const fields = PAGE_DIFF_FIELDS.filter(field => JSON.stringify(page[field]) !== JSON.stringify(after.page[field]));
+    const status = fields.length > 0 ? 'changed' : after.index !== index ? 'moved' : 'unchanged';
+    return { status, before: page, after: after.page, beforeIndex: index, afterIndex: after.index, fields };
+  });
+
+  afterPages.forEach((page, index) => {
+    if (!beforeIds.has(page.id)) {
+      rows.push({ status: 'added', before: null, after: page, beforeIndex: null, afterIndex: index, fields: [] });
+    }
+  });
+
+  return rows;
+};
+
+const samePage = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of a story edited in two tabs. base is the version both
+// started from; pages are matched by id so no page is silently lost. Where
+// both sides changed the same page, both versions are kept.
+export const mergeStoryVersions = (base, mine, theirs) => {
+  if (!theirs) {
+    return { story: mine, conflicts: [`"${mine.title}" was deleted in another tab, but your changes to it were kept.`] };
+  }
+
+  const conflicts = [];
+  const basePages = new Map((base?.pages || []).map(p => [p.id, p]));
+  const minePages = new Map(mine.pages.map(p => [p.id, p]));
+  const theirPages = new Map(theirs.pages.map(p => [p.id, p]));
+  const pages = [];
+
+  mine.pages.forEach(page => {
+    const basePage = basePages.get(page.id);
+    const theirPage = theirPages.get(page.id);
+
+    if (!theirPage) {
+      // Added here, or deleted there
+      if (basePage && samePage(page, basePage)) return;
+      if (basePage) conflicts.push(`A page of "${mine.title}" deleted in another tab was kept because it was changed here.`);
+      pages.push(page);
+    } else if (!basePage || samePage(page, basePage)) {
+      pages.push(theirPage);
+    } else if (samePage(theirPage, basePage) || samePage(page, theirPage)) {
+      pages.push(page);
+    } else {
+      pages.push(page, { ...theirPage, id: generateId() });
+      conflicts.push(`A page of "${mine.title}" was changed in two tabs, so both versions were kept.`);
+    }
+  });
+
+  // Pages added in the other tab go after the page they followed there
+  theirs.pages.forEach((page, index) => {
+    if (minePages.has(page.id)) return;
+    const basePage = basePages.get(page.id);
+    if (basePage) {
+      if (samePage(page, basePage)) return;
+      conflicts.push(`A page of "${mine.title}" deleted here was kept because it was changed in another tab.`);
+    }
+    const previousId = theirs.pages[index - 1]?.id;
+    const previousIndex = previousId === undefined ? -1 : pages.findIndex(p => p.id === previousId);
+    pages.splice(previousId === undefined ? 0 : previousIndex === -1 ? pages.length : previousIndex + 1, 0, page);
+  });
+
+  const title = base && mine.title === base.title ? theirs.title : mine.title;
+  const profileId = base && mine.profileId === base.profileId ? theirs.profileId : mine.profileId;
+
+  return {
+    story: { ...theirs, ...mine, title, profileId, pages, wordCount: countWords(pages) },
+    conflicts
+  };
+};
@@ -0,0 +1,175 @@
+// Markdown and Plain Text
+// Stories written out as text, and text split back into pages. Markdown keeps
+// each page's emotion, stickers and background in an HTML comment so it
+// survives a round trip without showing up when the file is rendered.
+// Sticker positions are not kept; imported stickers go back to the top left.
+
+import { createPage, upgradeStickers } from './storySchema';
+
+const PAGE_HEADING = /^page\s+\d+$/i;
+
+const annotation = (page) => {
+  const parts = [];
+  if (page.emotion) parts.push(`emotion: ${page.emotion}`);
+  if (page.stickers?.length > 0) parts.push(`stickers: ${page.stickers.map(sticker => sticker.emoji).join(' ')}`);
+  if (page.background && page.background !== 'default') parts.push(`background: ${page.background}`);
+  return parts.length > 0 ? `<!-- ${parts.join('; ')} -->` : null;
+};
+
+// Lines that would read back as a heading, separator or annotation get a
+// backslash in front, which is taken off again on import
+const BLOCK_START = /^(\s*)(?=#{1,6}\s|(?:-{3,}|\*{3,}|_{3,})\s*$)/gm;
+const ESCAPED_BLOCK_START = /^(\s*)\\(?=#{1,6}\s|(?:-{3,}|\*{3,}|_{3,})\s*$)/gm;
+
+const escapePageText = (text) => text.replace(/<!--/g, '\\<!--').replace(BLOCK_START, '$1\\');
+
+export const storyToMarkdown = (story) => {
+  const frontMatter = ['---', `title: ${story.title}`, `created: ${story.createdAt}`, '---'];
+  const pages = story.pages.map((page, i) => [
+    `## Page ${i + 1}`,
+    annotation(page),
+    escapePageText(page.text?.trim() || '')
+  ].filter(line => line !== null).join('\n\n'));
+
+  return [frontMatter.join('\n'), `# ${story.title}`, ...pages].join('\n\n') + '\n';
+};
+
+export const storyToPlainText = (story) => {
+  const pages = story.pages.map(page => escapePageText(page.text?.trim() || ''));
+  return [story.title, '='.repeat(story.title.length), '', pages.join('\n\n---\n\n')].join('\n') + '\n';
+};
+
+const FRONT_MATTER_FIELD = /^(\w+):\s*(.*)$/;
+
+// A leading --- block is only front matter when every line in it is a
+// `key: value` field; otherwise the --- is a page separator
+const readFrontMatter = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const lines = match ? match[1].split(/\r?\n/).filter(line => line.trim()) : [];
+  if (lines.length === 0 || !lines.every(line => FRONT_MATTER_FIELD.test(line))) return { fields: {}, body: text };
+  const fields = {};
+  lines.forEach(line => {
+    const field = line.match(FRONT_MATTER_FIELD);
+    fields[field[1].toLowerCase()] = field[2].trim().replace(/^["']|["']$/g, '');
+  });
+  return { fields, body: text.slice(match[0].length) };
+};
+
+const readAnnotations = (text) => {
+  const details = {};
+  const rest = text.replace(/(^|[^\\])<!--([\s\S]*?)-->/g, (_, before, inner) => {
+    inner.split(';').forEach(part => {
+      const field = part.match(/^\s*(emotion|stickers|background):\s*(.*?)\s*$/i);
+      if (!field) return;
+      const key = field[1].toLowerCase();
+      details[key] = key === 'stickers' ? field[2].split(/\s+/).filter(Boolean) : field[2];
+    });
+    return before;
+  });
+  return { details, rest };
+};
+
+// Markdown formatting is dropped; pages hold plain text. Emphasis markers only
+// count at the edges of words, so my_dog_rex and 2 * 3 * 4 are left alone.
+const stripMarkdown = (text) => text
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/(^|[^\w*\\])(\*\*|__)(?=\S)(.*?\S)\2(?![\w*])/g, '$1$3')
+  .replace(/(^|[^\w*\\])(\*|_)(?=\S)(.*?\S)\2(?![\w*])/g, '$1$3')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/^\s*>\s?/gm, '')
+  .replace(/^\s*[-*+]\s+/gm, '')
+  .replace(ESCAPED_BLOCK_START, '$1')
+  .replace(/\\<!--/g, '<!--')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .join(' ');
+
+const isSeparator = (line) => /^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line);
+const headingOf = (line) => line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+// Headings win over --- separators, which win over blank lines
+const splitIntoChunks = (body) => {
+  const lines = body.split(/\r?\n/);
+
+  if (lines.some(line => headingOf(line))) {
+    const chunks = [];
+    let current = null;
+    lines.forEach(line => {
+      const heading = headingOf(line);
+      if (heading) {
+        current = { heading: heading[2], level: heading[1].length, lines: [] };
+        chunks.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      } else if (line.trim()) {
+        current = { heading: null, level: 0, lines: [line] };
+        chunks.push(current);
+      }
+    });
+    return chunks;
+  }
+
+  if (lines.some(isSeparator)) {
+    const chunks = [{ heading: null, level: 0, lines: [] }];
+    lines.forEach(line => {
+      if (isSeparator(line)) chunks.push({ heading: null, level: 0, lines: [] });
+      else chunks[chunks.length - 1].lines.push(line);
+    });
+    return chunks;
+  }
+
+  return body.split(/\r?\n\s*\r?\n/).map(paragraph => ({ heading: null, level: 0, lines: paragraph.split(/\r?\n/) }));
+};
+
+// Plain text that starts with a title underlined by ===
+const readUnderlinedTitle = (body) => {
+  const match = body.match(/^\s*(.+)\r?\n(=+)\s*\r?\n/);
+  if (!match || match[2].length < Math.min(3, match[1].trim().length)) return { title: null, body };
+  return { title: match[1].trim(), body: body.slice(match[0].length) };
+};
+
+// Text whose only heading is a # title on the first line; the rest is
+// split into pages as if there were no headings
+const readLeadingHeading = (body) => {
+  const lines = body.split(/\r?\n/);
+  const first = lines.findIndex(line => line.trim());
+  const heading = first === -1 ? null : headingOf(lines[first]);
+  if (!heading || heading[1].length !== 1 || lines.filter(line => headingOf(line)).length > 1) return { title: null, body };
+  return { title: heading[2], body: lines.slice(first + 1).join('\n') };
+};
+
+// Returns { title, pages } ready for createStory; title is null when the text has none
+export const parseStoryText = (text) => {
+  const { fields, body: afterFrontMatter } = readFrontMatter(text.replace(/^\uFEFF/, ''));
+  const { title: underlinedTitle, body: afterUnderline } = readUnderlinedTitle(afterFrontMatter);
+  const { title: headingTitle, body } = readLeadingHeading(afterUnderline);
+  let title = fields.title || underlinedTitle || headingTitle || null;
+
+  let chunks = splitIntoChunks(body);
+
+  // A single top-level heading above the pages is the story's title
+  const topLevel = chunks.filter(chunk => chunk.level === 1);
+  if (topLevel.length === 1 && chunks[0] === topLevel[0] && chunks.length > 1) {
+    title = title || topLevel[0].heading;
+    if (!topLevel[0].lines.some(line => line.trim())) chunks = chunks.slice(1);
+    else topLevel[0].heading = null;
+  }
+
+  const pages = chunks
+    .map(chunk => {
+      const { details, rest } = readAnnotations(chunk.lines.join('\n'));
+      // A heading like "The Forest" opens the page as its own sentence
+      let heading = chunk.heading && !PAGE_HEADING.test(chunk.heading.trim()) ? chunk.heading.trim() : null;
+      if (heading && !/[.!?:]$/.test(heading)) heading += '.';
+      const pageText = [heading, stripMarkdown(rest)].filter(Boolean).join(' ');
+      return { text: pageText, ...details };
+    })
+    .filter(page => page.text || page.emotion || page.stickers?.length > 0)
+    .map(page => createPage({ ...page, stickers: upgradeStickers(page.stickers || []) }));
+
+  return { title, pages };
+};
+
+export const isTextStoryFile = (fileName) => /\.(md|markdown|txt)$/i.test(fileName);
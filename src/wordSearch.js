@@ -0,0 +1,123 @@
+// Word Search
+// Builds the Word Finder puzzles from words the child has written. Words are
+// hidden in a square grid of letters along the directions the difficulty
+// allows, and the rest of the grid is filled with random letters.
+
+const MIN_WORD_LENGTH = 3;
+const FILL_LETTERS = 'ABCDEFGHIJKLMNOPRSTUWY';
+const PLACEMENT_TRIES = 200;
+
+// Too common to be fun to look for
+const SKIPPED_WORDS = new Set([
+  'the', 'and', 'was', 'were', 'are', 'for', 'but', 'not', 'you', 'she', 'her', 'his', 'him', 'they', 'them',
+  'then', 'than', 'that', 'this', 'with', 'had', 'has', 'have', 'from', 'there', 'their', 'what', 'when',
+  'who', 'all', 'one', 'out', 'into', 'its', 'our', 'said', 'very', 'just', 'can', 'did', 'got', 'too'
+]);
+
+// [row step, column step]
+const DIRECTIONS = {
+  right: [0, 1],
+  down: [1, 0],
+  downRight: [1, 1],
+  upRight: [-1, 1],
+  left: [0, -1],
+  up: [-1, 0],
+  upLeft: [-1, -1],
+  downLeft: [1, -1]
+};
+
+export const WORD_SEARCH_LEVELS = {
+  easy: { name: 'Easy', size: 8, wordCount: 6, directions: ['right', 'down'] },
+  medium: { name: 'Medium', size: 10, wordCount: 8, directions: ['right', 'down', 'downRight', 'upRight'] },
+  hard: { name: 'Hard', size: 12, wordCount: 10, directions: Object.keys(DIRECTIONS) }
+};
+
+// Used when the stories do not have enough different words yet
+const STARTER_WORDS = ['STORY', 'BOOK', 'PAGE', 'DREAM', 'MAGIC', 'FRIEND', 'HAPPY', 'DRAGON', 'CASTLE', 'FOREST', 'OCEAN', 'STAR'];
+
+// A shuffled copy of the items
+export const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Different words from the stories' pages that fit in the grid, upper case
+export const collectStoryWords = (stories, maxLength) => {
+  const words = new Set();
+  stories.forEach(story => story.pages.forEach(page => {
+    (page.text || '').toLowerCase().match(/\p{L}+/gu)?.forEach(word => {
+      if (word.length >= MIN_WORD_LENGTH && word.length <= maxLength && !SKIPPED_WORDS.has(word)) {
+        words.add(word.toUpperCase());
+      }
+    });
+  }));
+  return [...words];
+};
+
+export const pickWords = (stories, level) => {
+  const { size, wordCount } = WORD_SEARCH_LEVELS[level];
+  const picked = shuffle(collectStoryWords(stories, size)).slice(0, wordCount);
+  const starters = shuffle(STARTER_WORDS.filter(word => word.length <= size && !picked.includes(word)));
+  return [...picked, ...starters.slice(0, wordCount - picked.length)];
+};
+
+const tryPlacing = (grid, word, directions) => {
+  const size = grid.length;
+  const letters = [...word];
+  for (let attempt = 0; attempt < PLACEMENT_TRIES; attempt++) {
+    const [rowStep, colStep] = DIRECTIONS[directions[Math.floor(Math.random() * directions.length)]];
+    const row = Math.floor(Math.random() * size);
+    const col = Math.floor(Math.random() * size);
+    const cells = letters.map((_, i) => [row + rowStep * i, col + colStep * i]);
+    // Words may cross where they share a letter
+    const fits = cells.every(([r, c], i) =>
+      r >= 0 && c >= 0 && r < size && c < size && (grid[r][c] === null || grid[r][c] === letters[i])
+    );
+    if (fits) {
+      cells.forEach(([r, c], i) => { grid[r][c] = letters[i]; });
+      return cells;
+    }
+  }
+  return null;
+};
+
+// Returns { size, grid, placements } where grid is rows of letters and each
+// placement is { word, cells: [[row, col], ...] } from first letter to last.
+// Words that do not fit are left out.
+export const createWordSearch = (words, level) => {
+  const { size, directions } = WORD_SEARCH_LEVELS[level];
+  const grid = Array.from({ length: size }, () => Array(size).fill(null));
+  const placements = [];
+
+  // Longest first, while there is still plenty of room
+  [...words].sort((a, b) => b.length - a.length).forEach(word => {
+    const cells = tryPlacing(grid, word, directions);
+    if (cells) placements.push({ word, cells });
+  });
+
+  grid.forEach(row => row.forEach((letter, c) => {
+    if (letter === null) row[c] = FILL_LETTERS[Math.floor(Math.random() * FILL_LETTERS.length)];
+  }));
+
+  return { size, grid, placements: placements.sort((a, b) => a.word.localeCompare(b.word)) };
+};
+
+// The cells from start to end when they are in a straight line (across, down
+// or diagonal), otherwise null
+export const getLineCells = ([startRow, startCol], [endRow, endCol]) => {
+  const rows = endRow - startRow;
+  const cols = endCol - startCol;
+  if (rows !== 0 && cols !== 0 && Math.abs(rows) !== Math.abs(cols)) return null;
+  const length = Math.max(Math.abs(rows), Math.abs(cols));
+  return Array.from({ length: length + 1 }, (_, i) => [startRow + Math.sign(rows) * i, startCol + Math.sign(cols) * i]);
+};
+
+const sameCells = (a, b) => a.length === b.length && a.every(([r, c], i) => r === b[i][0] && c === b[i][1]);
+
+// The placement the selected cells cover, read either way round
+export const findPlacement = (placements, cells) =>
+  placements.find(({ cells: wordCells }) => sameCells(wordCells, cells) || sameCells([...wordCells].reverse(), cells)) || null;